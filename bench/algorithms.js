@@ -0,0 +1,80 @@
+/**
+ * Benchmark of the matching engines on large generated HTML documents
+ * Run with: node bench/algorithms.js
+ */
+
+const { HTMLDiff } = require('../src/main.js');
+
+const ALGORITHMS = ['lcs', 'myers', 'patience', 'histogram'];
+const SIZES = [2000, 10000, 25000]; // words per document (roughly twice as many tokens)
+const EDIT_RATE = 0.03;
+// The legacy recursive search is quadratic; larger inputs take minutes
+const LCS_MAX_TOKENS = 25000;
+
+const WORDS = ('lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod tempor ' +
+  'incididunt ut labore et dolore magna aliqua enim ad minim veniam quis nostrud').split(' ');
+
+// Small deterministic PRNG so runs are comparable
+function createRandom(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
+function generateDocument(wordCount, random) {
+  const paragraphs = [];
+  let words = [];
+  for (let i = 0; i < wordCount; i++) {
+    words.push(WORDS[Math.floor(random() * WORDS.length)]);
+    if (words.length === 60) {
+      paragraphs.push(`<p>${words.join(' ')}.</p>`);
+      words = [];
+    }
+  }
+  if (words.length) paragraphs.push(`<p>${words.join(' ')}.</p>`);
+  return paragraphs.join('\n');
+}
+
+function editDocument(html, random) {
+  return html.replace(/[a-z]+/g, word => {
+    const roll = random();
+    if (roll < EDIT_RATE / 3) return '';
+    if (roll < EDIT_RATE * 2 / 3) return `${word} changed`;
+    if (roll < EDIT_RATE) return WORDS[Math.floor(random() * WORDS.length)];
+    return word;
+  });
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, result };
+}
+
+for (const size of SIZES) {
+  const random = createRandom(size);
+  const before = generateDocument(size, random);
+  const after = editDocument(before, random);
+  const tokenCount = new HTMLDiff().htmlToTokens(before).length;
+
+  console.log(`\n${size} words, ${tokenCount} tokens, ${Math.round(before.length / 1024)} KB`);
+
+  for (const algorithm of ALGORITHMS) {
+    if (algorithm === 'lcs' && tokenCount > LCS_MAX_TOKENS) {
+      console.log(`  ${algorithm.padEnd(10)} skipped (more than ${LCS_MAX_TOKENS} tokens)`);
+      continue;
+    }
+
+    const differ = new HTMLDiff({ algorithm });
+    const beforeTokens = differ.htmlToTokens(before);
+    const afterTokens = differ.htmlToTokens(after);
+
+    try {
+      const { ms, result } = time(() => differ.calculateOperations(beforeTokens, afterTokens));
+      console.log(`  ${algorithm.padEnd(10)} ${ms.toFixed(1).padStart(10)} ms  ${result.length} operations`);
+    } catch (error) {
+      console.log(`  ${algorithm.padEnd(10)} failed: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * htmldiff command-line tool
+ * Diffs two HTML files or two directory trees of HTML files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HTMLDiff } = require('../src/main.js');
+
+const FORMATS = ['inline', 'side-by-side', 'unified', 'json'];
+
+// Exit codes, as in diff(1)
+const EXIT_SAME = 0;
+const EXIT_DIFFERENT = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage:
+  htmldiff [options] <before> <after>
+  htmldiff --textconv <file>
+
+Compares two HTML files, or every HTML file in two directory trees.
+
+Options:
+  -f, --format <format>       inline | side-by-side | unified | json (default: inline)
+  -o, --output <file>         Write the diff to a file instead of stdout
+  -c, --context <lines>       Context lines for unified output (default: 3)
+  -g, --granularity <unit>    char | word | sentence | line (default: word)
+  -a, --algorithm <name>      myers | patience | histogram | lcs (default: myers)
+      --mode <mode>           flat | tree (default: flat)
+      --sanitize <mode>       escape | allowlist: make untrusted input safe in HTML output
+      --ext <list>            Extensions compared in directories (default: .html,.htm)
+  -q, --quiet                 Print nothing, only set the exit code
+      --textconv <file>       Print a file as one tag or text run per line
+  -h, --help                  Show this help
+
+Exit status is 0 if the inputs are the same, 1 if they differ and 2 on error.
+
+Git integration:
+  git difftool -y -x 'htmldiff -f side-by-side -o /tmp/review.html' -- '*.html'
+  git config diff.html.textconv 'htmldiff --textconv'   (with '*.html diff=html' in .gitattributes)
+  GIT_EXTERNAL_DIFF='htmldiff -f unified' git diff      (always exits 0, as git expects)
+`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments without the node binary and script path
+ * @returns {Object} Parsed options and positional arguments
+ */
+function parseArgs(args) {
+  const options = {
+    format: 'inline',
+    output: null,
+    context: 3,
+    extensions: ['.html', '.htm'],
+    quiet: false,
+    textconv: null,
+    help: false,
+    differ: {},
+    files: []
+  };
+
+  const valueOf = (i, name) => {
+    if (i >= args.length) throw new Error(`Missing value for ${name}`);
+    return args[i];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-f': case '--format':
+        options.format = valueOf(++i, arg);
+        break;
+      case '-o': case '--output':
+        options.output = valueOf(++i, arg);
+        break;
+      case '-c': case '--context':
+        options.context = Number(valueOf(++i, arg));
+        if (!Number.isInteger(options.context) || options.context < 0) {
+          throw new Error(`Invalid context: ${args[i]}`);
+        }
+        break;
+      case '-g': case '--granularity':
+        options.differ.granularity = valueOf(++i, arg);
+        break;
+      case '-a': case '--algorithm':
+        options.differ.algorithm = valueOf(++i, arg);
+        break;
+      case '--mode':
+        options.differ.mode = valueOf(++i, arg);
+        break;
+      case '--sanitize':
+        options.differ.render = { sanitize: valueOf(++i, arg) };
+        break;
+      case '--ext':
+        options.extensions = valueOf(++i, arg).split(',').map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+        break;
+      case '-q': case '--quiet':
+        options.quiet = true;
+        break;
+      case '--textconv':
+        options.textconv = valueOf(++i, arg);
+        break;
+      case '-h': case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option: ${arg}`);
+        options.files.push(arg);
+    }
+  }
+
+  if (!FORMATS.includes(options.format)) throw new Error(`Unknown format: ${options.format}`);
+  return options;
+}
+
+/**
+ * List the files under a directory that have one of the given extensions
+ * @param {string} root - Directory to walk
+ * @param {string[]} extensions - Extensions to keep, e.g. ['.html']
+ * @returns {string[]} Paths relative to `root`, using forward slashes
+ */
+function listFiles(root, extensions) {
+  const files = [];
+  const walk = dir => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+      }
+    }
+  };
+  walk(root);
+  return files;
+}
+
+/**
+ * Build the list of file pairs to compare
+ * @param {string} before - File or directory
+ * @param {string} after - File or directory
+ * @param {string[]} extensions - Extensions compared in directories
+ * @returns {Object[]} { name, beforePath, afterPath, labels } with null for a missing side;
+ *   `labels` are the names shown in unified diff headers
+ */
+function collectPairs(before, after, extensions) {
+  const beforeIsDir = fs.statSync(before).isDirectory();
+  const afterIsDir = fs.statSync(after).isDirectory();
+
+  if (!beforeIsDir && !afterIsDir) {
+    return [{ name: after, beforePath: before, afterPath: after, labels: { before, after } }];
+  }
+  if (beforeIsDir !== afterIsDir) throw new Error('Cannot compare a file with a directory');
+
+  const beforeFiles = new Set(listFiles(before, extensions));
+  const afterFiles = new Set(listFiles(after, extensions));
+  return [...new Set([...beforeFiles, ...afterFiles])].sort().map(name => ({
+    name,
+    beforePath: beforeFiles.has(name) ? path.join(before, name) : null,
+    afterPath: afterFiles.has(name) ? path.join(after, name) : null,
+    labels: {
+      before: beforeFiles.has(name) ? `a/${name}` : '/dev/null',
+      after: afterFiles.has(name) ? `b/${name}` : '/dev/null'
+    }
+  }));
+}
+
+/**
+ * Render the diff of one file pair in the requested format
+ * @param {HTMLDiff} differ
+ * @param {Object} pair - From collectPairs
+ * @param {Object} options - Parsed options
+ * @returns {{changed: boolean, output: *}} Whether the files differ, and the rendered diff
+ */
+function diffPair(differ, pair, options) {
+  const before = pair.beforePath ? fs.readFileSync(pair.beforePath, 'utf8') : '';
+  const after = pair.afterPath ? fs.readFileSync(pair.afterPath, 'utf8') : '';
+  const changed = before !== after;
+
+  switch (options.format) {
+    case 'json':
+      return { changed, output: differ.diff(before, after) };
+
+    case 'unified':
+      return {
+        changed,
+        output: differ.diffToUnified(before, after, {
+          context: options.context,
+          fromFile: pair.labels.before,
+          toFile: pair.labels.after
+        })
+      };
+
+    case 'side-by-side':
+      return { changed, output: changed ? differ.diffToSideBySide(before, after) : '' };
+
+    default:
+      return { changed, output: changed ? differ.diffToHTML(before, after) : '' };
+  }
+}
+
+/**
+ * Combine the per-file outputs into the final document
+ * @param {Object[]} results - { pair, changed, output }
+ * @param {Object} options - Parsed options
+ * @param {boolean} multiple - Whether several files were compared
+ * @returns {string} Output text
+ */
+function formatResults(results, options, multiple) {
+  if (options.format === 'json') {
+    if (!multiple) return `${JSON.stringify(results[0].output, null, 2)}\n`;
+    const byFile = {};
+    for (const { pair, output } of results) byFile[pair.name] = output;
+    return `${JSON.stringify(byFile, null, 2)}\n`;
+  }
+
+  if (options.format === 'unified') return results.map(({ output }) => output).join('');
+  if (!multiple) return results[0].output;
+
+  const differ = new HTMLDiff();
+  return results
+    .filter(({ changed }) => changed)
+    .map(({ pair, output }) => {
+      // File names are text, even ones such as "<img src=x onerror=alert(1)>.html"
+      const name = differ.escapeHTML(pair.name);
+      return `<section class="diff-file">\n<h2>${name}</h2>\n${output}\n</section>\n`;
+    })
+    .join('');
+}
+
+/**
+ * Print a file as one tag or whitespace-collapsed text run per line, so that
+ * git's line-based diff shows HTML changes readably
+ * @param {string} file - HTML file
+ * @returns {string} Converted text
+ */
+function textconv(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  const lines = new HTMLDiff().splitTags(html)
+    .map(segment => (segment.isTag ? segment.text : segment.text.replace(/\s+/g, ' ').trim()))
+    .filter(Boolean);
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Arguments without the node binary and script path
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const options = parseArgs(args);
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return EXIT_SAME;
+  }
+
+  if (options.textconv) {
+    process.stdout.write(textconv(options.textconv));
+    return EXIT_SAME;
+  }
+
+  // GIT_EXTERNAL_DIFF passes: path old-file old-hex old-mode new-file new-hex new-mode
+  const external = options.files.length === 7;
+  const [before, after] = external ? [options.files[1], options.files[4]] : options.files;
+  if (!external && options.files.length !== 2) throw new Error('Expected two files or directories to compare');
+
+  const differ = new HTMLDiff(options.differ);
+  const pairs = collectPairs(before, after, options.extensions);
+  const multiple = pairs.length > 1 || fs.statSync(before).isDirectory();
+  if (external) {
+    const name = options.files[0];
+    pairs[0].name = name;
+    pairs[0].labels = { before: `a/${name}`, after: `b/${name}` };
+  }
+
+  const results = pairs.map(pair => ({ pair, ...diffPair(differ, pair, options) }));
+  const changed = results.some(result => result.changed);
+
+  if (!options.quiet) {
+    const output = formatResults(results, options, multiple);
+    if (options.output) fs.writeFileSync(options.output, output);
+    else process.stdout.write(output);
+  }
+
+  // git treats a non-zero status from an external diff driver as a failure
+  if (external) return EXIT_SAME;
+  return changed ? EXIT_DIFFERENT : EXIT_SAME;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  process.stderr.write(`htmldiff: ${error.message}\n`);
+  process.exitCode = EXIT_ERROR;
+}
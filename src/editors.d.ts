@@ -0,0 +1,47 @@
+/**
+ * Type definitions for the editor adapters in editors.js
+ */
+
+import htmldiff = require('./main.js');
+
+export interface ChangeRange {
+  type: 'insert' | 'delete' | 'move';
+  from: number;
+  to: number;
+  text: string;
+}
+
+export interface ChangeClassNames {
+  insert?: string;
+  delete?: string;
+  move?: string;
+}
+
+export function changeRanges(html: string, diffObjects: htmldiff.DiffObject[], target?: string): ChangeRange[];
+
+export function domRanges(root: Element, html: string, diffObjects: htmldiff.DiffObject[]): Array<{
+  type: ChangeRange['type'];
+  text: string;
+  range: Range;
+}>;
+
+export function highlightChanges(root: Element, html: string, diffObjects: htmldiff.DiffObject[], options?: {
+  classNames?: ChangeClassNames;
+  highlights?: { set(name: string, highlight: unknown): unknown };
+  Highlight?: new (...ranges: Range[]) => unknown;
+}): Record<string, unknown>;
+
+/** The editor libraries are not dependencies, so their classes are typed loosely */
+export function prosemirrorDecorations(doc: unknown, html: string, diffObjects: htmldiff.DiffObject[], modules: {
+  Decoration: any;
+  DecorationSet: any;
+  classNames?: ChangeClassNames;
+  showDeleted?: boolean;
+}): any;
+
+export function codemirrorDecorations(text: string, html: string, diffObjects: htmldiff.DiffObject[], modules: {
+  Decoration: any;
+  WidgetType?: any;
+  classNames?: ChangeClassNames;
+  showDeleted?: boolean;
+}): any;
@@ -0,0 +1,330 @@
+/**
+ * Editor adapters: show the changes of diff() inside a live editor instead of
+ * rendering static HTML.
+ *
+ *   const changes = new HTMLDiff().diff(before, after);
+ *   domRanges(element, after, changes);                      // DOM Ranges in a contenteditable
+ *   highlightChanges(element, after, changes);               // CSS Custom Highlight API
+ *   prosemirrorDecorations(state.doc, after, changes, { Decoration, DecorationSet });
+ *   codemirrorDecorations(state.doc.toString(), after, changes, { Decoration, WidgetType });
+ *
+ * Diff objects locate changes in the after HTML source. The adapters map those
+ * positions to the editor's text: the text content of the source (tags dropped,
+ * entities decoded) is aligned with the editor's text, tolerating whitespace that
+ * the editor collapsed or dropped. When the editor holds the source itself (a code
+ * editor, or text and Markdown inputs) positions are used as they are.
+ * Positions must be in UTF-16 code units, the default positionUnit.
+ *
+ * The editor libraries are passed in rather than imported, so this module adds
+ * no dependencies.
+ */
+
+(function () {
+  const CLASS_NAMES = { insert: 'diff-ins', delete: 'diff-del', move: 'diff-move-to' };
+
+  // NodeFilter.SHOW_TEXT
+  const SHOW_TEXT = 4;
+
+  let differ = null;
+
+  /**
+   * Text content of some HTML, with where each character comes from
+   * @param {string} html
+   * @returns {{text: string, sources: number[]}} `sources[i]` is the source position of
+   *   text character i (the start of its entity for decoded ones); sources[text.length]
+   *   is html.length
+   */
+  function sourceText(html) {
+    if (!differ) {
+      // main.js declares HTMLDiff as a global when loaded as a classic script
+      differ = new (typeof module !== 'undefined' && module.exports ? require('./main.js').HTMLDiff : HTMLDiff)();
+    }
+    let text = '';
+    const sources = [];
+    let position = 0;
+
+    for (const segment of differ.splitTags(html)) {
+      if (!segment.isTag) {
+        for (const part of segment.text.split(/(&(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#[xX][0-9a-fA-F]+);)/)) {
+          const decoded = part.startsWith('&') ? differ.decodeEntities(part) : part;
+          for (let i = 0; i < decoded.length; i++) sources.push(position + (decoded === part ? i : 0));
+          text += decoded;
+          position += part.length;
+        }
+        continue;
+      }
+      position += segment.text.length;
+    }
+
+    sources.push(html.length);
+    return { text, sources };
+  }
+
+  /**
+   * Map each character of a text to the same character in an editor's version
+   * of it, skipping whitespace that only one of them has
+   * @param {string} source
+   * @param {string} target
+   * @returns {number[]} Target index of each source index, up to source.length
+   */
+  function alignText(source, target) {
+    const isSpace = char => /\s/.test(char);
+    const map = [];
+    let j = 0;
+
+    for (let i = 0; i < source.length; i++) {
+      while (j < target.length && isSpace(target[j]) && !isSpace(source[i])) j++;
+      map.push(j);
+      if (j < target.length && (source[i] === target[j] || (isSpace(source[i]) && isSpace(target[j])))) {
+        j++;
+      } else if (!isSpace(source[i]) && j < target.length) {
+        // A character the editor shows differently; stay in step
+        j++;
+      }
+    }
+
+    map.push(j);
+    return map;
+  }
+
+  /**
+   * Locate the changes of some diff objects in an editor's text
+   * @param {string} html - The after HTML the diff objects were computed on
+   * @param {Object[]} diffObjects - From diff()
+   * @param {string} [target] - The editor's text; defaults to the text content of `html`
+   * @returns {Object[]} { type: 'insert' | 'delete' | 'move', from, to, text } with half-open
+   *   target offsets, in document order; deletions are points (from === to) with the
+   *   deleted text, and replacements are a deletion followed by an insertion. `text` is
+   *   text content unless the editor holds the source.
+   */
+  function changeRanges(html, diffObjects, target) {
+    let toTarget = position => position;
+    let toText = source => source;
+    if (target !== html) {
+      toText = source => sourceText(source).text;
+      const { text, sources } = sourceText(html);
+      const map = alignText(text, target ?? text);
+      toTarget = position => {
+        // First text character at or after the source position
+        let low = 0;
+        let high = sources.length - 1;
+        while (low < high) {
+          const middle = (low + high) >> 1;
+          if (sources[middle] < position) low = middle + 1;
+          else high = middle;
+        }
+        return map[low];
+      };
+    }
+
+    const ranges = [];
+    const add = (type, from, to, text) => {
+      if (from < to || type === 'delete') ranges.push({ type, from, to, text: toText(text) });
+    };
+    const range = diffObject => [toTarget(diffObject.afterStartPosition), toTarget(diffObject.afterEndPosition + 1)];
+
+    const visit = diffObject => {
+      switch (diffObject.type) {
+        case 'insert':
+          add('insert', ...range(diffObject), diffObject.text);
+          break;
+        case 'delete': {
+          const position = toTarget(diffObject.afterPosition);
+          add('delete', position, position, diffObject.text);
+          break;
+        }
+        case 'replace': {
+          // Refined replacements are shown character by character
+          if (diffObject.changes) {
+            diffObject.changes.forEach(visit);
+            break;
+          }
+          const [from, to] = range(diffObject);
+          add('delete', from, from, diffObject.oldText);
+          add('insert', from, to, diffObject.newText);
+          break;
+        }
+        case 'move':
+          add('move', ...range(diffObject), diffObject.text);
+          break;
+      }
+    };
+
+    diffObjects.forEach(visit);
+    return ranges;
+  }
+
+  /**
+   * DOM Ranges over the changes in an element showing the after HTML, e.g. a contenteditable
+   * @param {Element} root
+   * @param {string} html - The after HTML the diff objects were computed on
+   * @param {Object[]} diffObjects - From diff()
+   * @returns {Object[]} { type, text, range }; deletions are collapsed ranges
+   */
+  function domRanges(root, html, diffObjects) {
+    const document = root.ownerDocument;
+    const nodes = [];
+    let target = '';
+    const walker = document.createTreeWalker(root, SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      nodes.push({ node, start: target.length });
+      target += node.data;
+    }
+
+    // Text node and offset of a target offset; ends of ranges stay in the node they end in
+    const locate = (offset, isEnd) => {
+      let index = nodes.length - 1;
+      while (index > 0 && (isEnd ? nodes[index].start >= offset : nodes[index].start > offset)) index--;
+      const { node, start } = nodes[index];
+      return [node, Math.min(offset - start, node.data.length)];
+    };
+
+    if (!nodes.length) return [];
+    return changeRanges(html, diffObjects, target).map(({ type, from, to, text }) => {
+      const range = document.createRange();
+      range.setStart(...locate(from, false));
+      range.setEnd(...locate(to, from < to));
+      return { type, text, range };
+    });
+  }
+
+  /**
+   * Highlight the changes in an element with the CSS Custom Highlight API; style
+   * them with ::highlight(diff-ins) and ::highlight(diff-move-to). Deletions have no
+   * text to highlight and are left out.
+   * @param {Element} root
+   * @param {string} html - The after HTML the diff objects were computed on
+   * @param {Object[]} diffObjects - From diff()
+   * @param {Object} [options]
+   * @param {Object} [options.classNames] - Highlight name for insert and move changes
+   * @param {Object} [options.highlights] - Highlight registry, CSS.highlights by default
+   * @param {Function} [options.Highlight] - Highlight constructor, the global one by default
+   * @returns {Object} { [name]: Highlight } of the registered highlights
+   */
+  function highlightChanges(root, html, diffObjects, {
+    classNames = {},
+    highlights = typeof CSS !== 'undefined' ? CSS.highlights : undefined,
+    Highlight = globalThis.Highlight
+  } = {}) {
+    if (!highlights || typeof Highlight !== 'function') {
+      throw new Error('The CSS Custom Highlight API is not available');
+    }
+
+    const names = { ...CLASS_NAMES, ...classNames };
+    const ranges = {};
+    for (const { type, range } of domRanges(root, html, diffObjects)) {
+      if (type === 'delete') continue;
+      (ranges[names[type]] = ranges[names[type]] || []).push(range);
+    }
+
+    const registered = {};
+    for (const [name, list] of Object.entries(ranges)) {
+      registered[name] = new Highlight(...list);
+      highlights.set(name, registered[name]);
+    }
+    return registered;
+  }
+
+  /**
+   * ProseMirror decorations for the changes: inline decorations over inserted and
+   * moved text, and widgets showing deleted text
+   * @param {Object} doc - ProseMirror document node showing the after HTML
+   * @param {string} html - The after HTML the diff objects were computed on
+   * @param {Object[]} diffObjects - From diff()
+   * @param {Object} modules
+   * @param {Object} modules.Decoration - From prosemirror-view
+   * @param {Object} modules.DecorationSet - From prosemirror-view
+   * @param {Object} [modules.classNames] - Classes for insert, delete and move changes
+   * @param {boolean} [modules.showDeleted=true] - Whether deleted text is shown
+   * @returns {Object} DecorationSet
+   */
+  function prosemirrorDecorations(doc, html, diffObjects, { Decoration, DecorationSet, classNames = {}, showDeleted = true }) {
+    const names = { ...CLASS_NAMES, ...classNames };
+    // Document position of each character of the document's text
+    const positions = [];
+    let target = '';
+    doc.descendants((node, position) => {
+      if (!node.isText) return;
+      for (let i = 0; i < node.text.length; i++) positions.push(position + i);
+      target += node.text;
+    });
+
+    const toPosition = offset => {
+      if (offset < positions.length) return positions[offset];
+      return positions.length ? positions[positions.length - 1] + 1 : 0;
+    };
+    // Ranges end after their last character, which may be in another text node than the next one
+    const toEndPosition = offset => (offset > 0 ? toPosition(Math.min(offset, positions.length) - 1) + 1 : 0);
+
+    const decorations = [];
+    for (const { type, from, to, text } of changeRanges(html, diffObjects, target)) {
+      if (type !== 'delete') {
+        const start = toPosition(from);
+        const end = toEndPosition(to);
+        if (start < end) decorations.push(Decoration.inline(start, end, { class: names[type] }));
+      } else if (showDeleted) {
+        decorations.push(Decoration.widget(toPosition(from), view => {
+          const element = view.dom.ownerDocument.createElement('del');
+          element.className = names.delete;
+          element.textContent = text;
+          return element;
+        }, { side: -1, marks: [] }));
+      }
+    }
+    return DecorationSet.create(doc, decorations);
+  }
+
+  /**
+   * CodeMirror 6 decorations for the changes: marks over inserted and moved text,
+   * and widgets showing deleted text
+   * @param {string} text - The editor's text, e.g. state.doc.toString()
+   * @param {string} html - The after text the diff objects were computed on
+   * @param {Object[]} diffObjects - From diff()
+   * @param {Object} modules
+   * @param {Object} modules.Decoration - From @codemirror/view
+   * @param {Function} [modules.WidgetType] - From @codemirror/view, needed to show deleted text
+   * @param {Object} [modules.classNames] - Classes for insert, delete and move changes
+   * @param {boolean} [modules.showDeleted=true] - Whether deleted text is shown
+   * @returns {Object} DecorationSet
+   */
+  function codemirrorDecorations(text, html, diffObjects, { Decoration, WidgetType, classNames = {}, showDeleted = true }) {
+    const names = { ...CLASS_NAMES, ...classNames };
+    const DeletedText = WidgetType && class extends WidgetType {
+      constructor(deleted) {
+        super();
+        this.deleted = deleted;
+      }
+
+      eq(other) {
+        return other.deleted === this.deleted;
+      }
+
+      toDOM(view) {
+        const element = view.dom.ownerDocument.createElement('del');
+        element.className = names.delete;
+        element.textContent = this.deleted;
+        return element;
+      }
+    };
+
+    const decorations = [];
+    for (const { type, from, to, text: changed } of changeRanges(html, diffObjects, text)) {
+      if (type !== 'delete') {
+        decorations.push(Decoration.mark({ class: names[type] }).range(from, to));
+      } else if (showDeleted && DeletedText) {
+        decorations.push(Decoration.widget({ widget: new DeletedText(changed), side: -1 }).range(from));
+      }
+    }
+    return Decoration.set(decorations, true);
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports.changeRanges = changeRanges;
+    module.exports.domRanges = domRanges;
+    module.exports.highlightChanges = highlightChanges;
+    module.exports.prosemirrorDecorations = prosemirrorDecorations;
+    module.exports.codemirrorDecorations = codemirrorDecorations;
+  } else {
+    globalThis.htmldiffEditors = { changeRanges, domRanges, highlightChanges, prosemirrorDecorations, codemirrorDecorations };
+  }
+})();
@@ -0,0 +1,44 @@
+/**
+ * Type definitions for the ES module entry point (index.mjs)
+ */
+
+import htmldiff from './main.js';
+
+export type HTMLDiffOptions = htmldiff.HTMLDiffOptions;
+export type RenderOptions = htmldiff.RenderOptions;
+export type DiffObject = htmldiff.DiffObject;
+export type EqualDiff = htmldiff.EqualDiff;
+export type InsertDiff = htmldiff.InsertDiff;
+export type DeleteDiff = htmldiff.DeleteDiff;
+export type ReplaceDiff = htmldiff.ReplaceDiff;
+export type MoveDiff = htmldiff.MoveDiff;
+export type Operation = htmldiff.Operation;
+export type DiffStats = htmldiff.DiffStats;
+export type Patch = htmldiff.Patch;
+export type MergeResult = htmldiff.MergeResult;
+export type Decisions = htmldiff.Decisions;
+export type HistoryRevision = htmldiff.HistoryRevision;
+export type HistorySegment = htmldiff.HistorySegment;
+export type OutlineSection = htmldiff.OutlineSection;
+export type Outline = htmldiff.Outline;
+
+export declare const htmldiffToHTML: typeof htmldiff.htmldiffToHTML;
+export declare const diffTextToHTML: typeof htmldiff.diffTextToHTML;
+export declare const htmldiffToSideBySide: typeof htmldiff.htmldiffToSideBySide;
+export declare const htmldiffToUnified: typeof htmldiff.htmldiffToUnified;
+export declare const htmldiffToMarkdown: typeof htmldiff.htmldiffToMarkdown;
+export declare const createPatch: typeof htmldiff.createPatch;
+export declare const applyPatch: typeof htmldiff.applyPatch;
+export declare const invertPatch: typeof htmldiff.invertPatch;
+export declare const merge3: typeof htmldiff.merge3;
+export declare const diffStats: typeof htmldiff.diffStats;
+export declare const diffHistory: typeof htmldiff.diffHistory;
+export declare const resolveChanges: typeof htmldiff.resolveChanges;
+export declare const diffOutline: typeof htmldiff.diffOutline;
+export declare const HTMLDiff: typeof htmldiff.HTMLDiff;
+export type HTMLDiff = htmldiff.HTMLDiff;
+export declare const Match: typeof htmldiff.Match;
+export type Match = htmldiff.Match;
+
+export { htmldiff };
+export default htmldiff;
@@ -0,0 +1,28 @@
+/**
+ * ES module entry point; re-exports the CommonJS build in main.js, so it needs
+ * Node or a bundler that understands CommonJS. Browsers without a bundler load
+ * main.js with a <script> tag and use its globals (window.HTMLDiff, window.htmldiff).
+ */
+
+import htmldiff from './main.js';
+
+export const {
+  htmldiffToHTML,
+  diffTextToHTML,
+  htmldiffToSideBySide,
+  htmldiffToUnified,
+  htmldiffToMarkdown,
+  createPatch,
+  applyPatch,
+  invertPatch,
+  merge3,
+  diffStats,
+  diffHistory,
+  resolveChanges,
+  diffOutline,
+  HTMLDiff,
+  Match
+} = htmldiff;
+
+export { htmldiff };
+export default htmldiff;
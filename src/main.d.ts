@@ -0,0 +1,322 @@
+/**
+ * Type definitions for the CommonJS entry point (main.js)
+ */
+
+declare namespace htmldiff {
+  type Granularity = 'char' | 'word' | 'sentence' | 'line';
+  type Algorithm = 'myers' | 'patience' | 'histogram' | 'lcs';
+
+  interface RenderOptions {
+    order?: 'del-first' | 'ins-first';
+    tags?: { insert?: string; delete?: string; modify?: string };
+    classNames?: {
+      insert?: string;
+      delete?: string;
+      modify?: string;
+      moveFrom?: string;
+      moveTo?: string;
+      intraword?: string;
+    };
+    openTag?: ((change: {
+      type: 'insert' | 'delete';
+      operation: string;
+      index: number;
+      changeId: string | null;
+      tag: string;
+      className: string;
+      attributes: Record<string, string>;
+      text: string;
+    }) => string | false | null) | null;
+    sanitize?: false | 'escape' | 'allowlist';
+  }
+
+  interface HTMLDiffOptions {
+    format?: 'html' | 'text' | 'markdown';
+    granularity?: Granularity;
+    locale?: string;
+    tokenize?: ((html: string, options: HTMLDiffOptions) => string[]) | null;
+    algorithm?: Algorithm;
+    mode?: 'flat' | 'tree';
+    similarityThreshold?: number;
+    render?: RenderOptions;
+    cleanup?: 'none' | 'semantic' | 'efficiency';
+    editCost?: number;
+    ignoreWhitespace?: boolean;
+    ignoreCase?: boolean;
+    ignorePunctuation?: boolean;
+    ignoreAttributes?: boolean | string[] | { allow: string[] };
+    ignoreTags?: boolean;
+    normalizeEntities?: boolean;
+    detectMoves?: boolean;
+    moveThreshold?: number;
+    minMoveLength?: number;
+    refine?: boolean;
+    refineThreshold?: number;
+    positionUnit?: 'utf16' | 'codepoint' | 'grapheme';
+  }
+
+  /**
+   * Positions are 0-based offsets in the positionUnit option's unit, with inclusive
+   * ends; lines and columns are 1-based
+   */
+  interface BeforeRange {
+    beforeStartPosition: number;
+    beforeEndPosition: number;
+    beforeStartLine: number;
+    beforeStartColumn: number;
+    beforeEndLine: number;
+    beforeEndColumn: number;
+  }
+
+  interface AfterRange {
+    afterStartPosition: number;
+    afterEndPosition: number;
+    afterStartLine: number;
+    afterStartColumn: number;
+    afterEndLine: number;
+    afterEndColumn: number;
+  }
+
+  interface EqualDiff extends BeforeRange, AfterRange {
+    type: 'equal';
+    text: string;
+    length: number;
+  }
+
+  interface InsertDiff extends AfterRange {
+    type: 'insert';
+    text: string;
+    length: number;
+    /** Where the text was inserted in the before text */
+    beforePosition: number;
+    beforeLine: number;
+    beforeColumn: number;
+  }
+
+  interface DeleteDiff extends BeforeRange {
+    type: 'delete';
+    text: string;
+    length: number;
+    /** Where the text was removed from in the after text */
+    afterPosition: number;
+    afterLine: number;
+    afterColumn: number;
+  }
+
+  interface ReplaceDiff extends BeforeRange, AfterRange {
+    type: 'replace';
+    oldText: string;
+    newText: string;
+    oldLength: number;
+    newLength: number;
+    /** Character-level changes, with absolute positions, when the `refine` option applied */
+    changes?: Array<InsertDiff | DeleteDiff | ReplaceDiff>;
+  }
+
+  interface MoveDiff extends BeforeRange, AfterRange {
+    type: 'move';
+    moveId: string;
+    text: string;
+    oldText: string;
+    length: number;
+    /** Edits made inside the moved block, with absolute positions */
+    changes: Array<InsertDiff | DeleteDiff | ReplaceDiff>;
+  }
+
+  type DiffObject = EqualDiff | InsertDiff | DeleteDiff | ReplaceDiff | MoveDiff;
+
+  interface Operation {
+    action: 'equal' | 'insert' | 'delete' | 'replace' | 'move-from' | 'move-to';
+    startInBefore: number;
+    endInBefore: number | undefined;
+    startInAfter: number;
+    endInAfter: number | undefined;
+    moveId?: string;
+  }
+
+  interface DiffStatsCounts {
+    inserted: number;
+    deleted: number;
+    replaced: number;
+    unchanged: number;
+  }
+
+  interface DiffStatsGroup {
+    tokens: DiffStatsCounts;
+    words: DiffStatsCounts;
+    characters: DiffStatsCounts;
+  }
+
+  interface DiffStats extends DiffStatsGroup {
+    text: DiffStatsGroup;
+    markup: DiffStatsGroup;
+    changedBlocks: number;
+    similarity: number;
+    editDistance: number;
+  }
+
+  interface PatchHunk {
+    position: number;
+    deleted: string;
+    inserted: string;
+    prefix: string;
+    suffix: string;
+  }
+
+  interface Patch {
+    version: 1;
+    hunks: PatchHunk[];
+  }
+
+  interface ApplyPatchResult {
+    text: string;
+    applied: boolean[];
+    conflicts: Array<{ index: number; hunk: PatchHunk; expectedPosition: number; reason: string }>;
+  }
+
+  interface MergeConflict {
+    index: number;
+    base: string;
+    ours: string;
+    theirs: string;
+    basePosition: { start: number; end: number };
+    oursPosition: { start: number; end: number };
+    theirsPosition: { start: number; end: number };
+    parent: string | null;
+  }
+
+  interface MergeResult {
+    html: string;
+    clean: boolean;
+    conflicts: MergeConflict[];
+  }
+
+  interface UnifiedOptions {
+    context?: number;
+    fromFile?: string;
+    toFile?: string;
+  }
+
+  interface MarkdownOptions {
+    style?: 'strikethrough' | 'critic';
+  }
+
+  interface AsyncDiffOptions {
+    signal?: AbortSignal;
+    onProgress?: (progress: { completed: number; total: number; timedOut: boolean }) => void;
+    timeoutMs?: number;
+  }
+
+  /** Review decisions by change ID (the data-change-id attribute of diffToHTML output) */
+  type Decisions = Record<string, 'accept' | 'reject'>;
+
+  interface HistoryRevision {
+    html: string;
+    author?: string;
+    timestamp?: string | number | Date;
+  }
+
+  interface HistorySegment {
+    text: string;
+    rev: number;
+    author?: string;
+    timestamp?: HistoryRevision['timestamp'];
+    removed: boolean;
+    removedRev?: number;
+    removedBy?: string;
+    removedAt?: HistoryRevision['timestamp'];
+  }
+
+  interface HistoryOptions {
+    showDeleted?: boolean;
+  }
+
+  interface HistoryResult {
+    html: string;
+    segments: HistorySegment[];
+  }
+
+  type OutlineChange = (InsertDiff | DeleteDiff | ReplaceDiff | MoveDiff) & { changeId: string; anchor: string };
+
+  interface OutlineSection {
+    id: string;
+    /** Heading level, 0 for the content before the first heading */
+    level: number;
+    title: string;
+    counts: { inserted: number; deleted: number; replaced: number; moved: number };
+    changes: OutlineChange[];
+  }
+
+  interface OutlineOptions {
+    collapseUnchanged?: boolean;
+    anchorPrefix?: string;
+  }
+
+  interface Outline {
+    sections: OutlineSection[];
+    toc: string;
+    html: string;
+  }
+
+  class Match {
+    constructor(startInBefore: number, startInAfter: number, length: number);
+    startInBefore: number;
+    startInAfter: number;
+    length: number;
+    endInBefore: number;
+    endInAfter: number;
+  }
+
+  class HTMLDiff {
+    constructor(options?: HTMLDiffOptions);
+    options: Required<HTMLDiffOptions>;
+
+    diff(before: string, after: string): DiffObject[];
+    diffAsync(before: string, after: string, asyncOptions?: AsyncDiffOptions): Promise<DiffObject[]>;
+    diffStats(before: string, after: string): DiffStats;
+    diffToHTML(before: string, after: string, renderOptions?: RenderOptions): string;
+    diffTextToHTML(before: string, after: string, renderOptions?: RenderOptions): string;
+    diffToSideBySide(before: string, after: string, renderOptions?: RenderOptions): string;
+    diffToUnified(before: string, after: string, unifiedOptions?: UnifiedOptions): string;
+    diffToMarkdown(before: string, after: string, markdownOptions?: MarkdownOptions): string;
+    createPatch(before: string, after: string, options?: { contextLength?: number }): Patch;
+    applyPatch(before: string, patch: Patch, options?: { fuzzy?: boolean; maxDrift?: number }): ApplyPatchResult;
+    invertPatch(patch: Patch): Patch;
+    merge3(base: string, ours: string, theirs: string, options?: {
+      renderConflict?: (conflict: MergeConflict) => string;
+    }): MergeResult;
+    diffHistory(revisions: HistoryRevision[], historyOptions?: HistoryOptions): HistoryResult;
+    resolveChanges(before: string, after: string, decisions?: Decisions, renderOptions?: RenderOptions): string;
+    diffOutline(before: string, after: string, outlineOptions?: OutlineOptions, renderOptions?: RenderOptions): Outline;
+
+    htmlToTokens(html: string): string[];
+    calculateOperations(beforeTokens: string[], afterTokens: string[]): Operation[];
+    findMatchingBlocks(beforeTokens: string[], afterTokens: string[]): Match[];
+    changeIds(operations: Operation[], beforeTokens: string[], afterTokens: string[]): Array<string | null>;
+    sanitizeHTML(html: string, mode?: 'escape' | 'allowlist'): string;
+    escapeHTML(text: string): string;
+  }
+
+  function htmldiff(before: string, after: string, options?: HTMLDiffOptions): DiffObject[];
+  function htmldiffToHTML(before: string, after: string, options?: HTMLDiffOptions): string;
+  function diffTextToHTML(before: string, after: string, options?: HTMLDiffOptions): string;
+  function htmldiffToSideBySide(before: string, after: string, options?: HTMLDiffOptions): string;
+  function htmldiffToUnified(before: string, after: string, unifiedOptions?: UnifiedOptions,
+    options?: HTMLDiffOptions): string;
+  function htmldiffToMarkdown(before: string, after: string, markdownOptions?: MarkdownOptions,
+    options?: HTMLDiffOptions): string;
+  function createPatch(before: string, after: string, options?: HTMLDiffOptions): Patch;
+  function applyPatch(before: string, patch: Patch, applyOptions?: { fuzzy?: boolean; maxDrift?: number }): ApplyPatchResult;
+  function invertPatch(patch: Patch): Patch;
+  function merge3(base: string, ours: string, theirs: string, options?: HTMLDiffOptions): MergeResult;
+  function diffStats(before: string, after: string, options?: HTMLDiffOptions): DiffStats;
+  function diffHistory(revisions: HistoryRevision[], historyOptions?: HistoryOptions,
+    options?: HTMLDiffOptions): HistoryResult;
+  function resolveChanges(before: string, after: string, decisions?: Decisions, options?: HTMLDiffOptions): string;
+  function diffOutline(before: string, after: string, outlineOptions?: OutlineOptions,
+    options?: HTMLDiffOptions): Outline;
+}
+
+declare function htmldiff(before: string, after: string, options?: htmldiff.HTMLDiffOptions): htmldiff.DiffObject[];
+
+export = htmldiff;
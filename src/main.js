@@ -3,27 +3,287 @@
  * Compares two HTML strings and returns a diff with <ins> and <del> tags
  */
 
-console.log('hello world');
+/**
+ * Default options for HTMLDiff instances
+ * - format: 'html' | 'text' | 'markdown' - what the inputs are: 'text' has no
+ *   markup at all, so '<' is ordinary text; 'markdown' also keeps headings and
+ *   list markers, links, images and code spans as single tokens. HTML output
+ *   of text and Markdown inputs is escaped.
+ * - granularity: 'char' | 'word' | 'sentence' | 'line' - size of the text tokens compared
+ * - locale: locale passed to Intl.Segmenter for word/sentence segmentation
+ * - tokenize: custom (html, options) => string[] hook replacing the built-in tokenizer
+ * - algorithm: 'myers' | 'patience' | 'histogram' | 'lcs' - matching engine,
+ *   'lcs' being the original recursive longest-match search
+ * - mode: 'flat' | 'tree' - 'tree' makes diffToHTML match element trees and
+ *   always produce well-formed HTML
+ * - similarityThreshold: minimum text similarity (0-1) for tree mode to pair
+ *   elements that are not otherwise matched
+ * - render: default render options for diffToHTML, see DEFAULT_RENDER_OPTIONS
+ * - cleanup: 'none' | 'semantic' | 'efficiency' - post-processing of the operations:
+ *   'semantic' absorbs equalities shorter than the edits around them and moves
+ *   insert/delete boundaries to word and sentence edges, 'efficiency' absorbs
+ *   equalities that cost more to show than to rewrite
+ * - editCost: character cost of an extra edit, used by 'efficiency' cleanup
+ * - ignoreWhitespace, ignoreCase, ignorePunctuation: compare tokens after
+ *   collapsing and trimming whitespace, lower-casing or removing punctuation; changes made
+ *   only of whitespace or punctuation are reported as unchanged
+ * - ignoreAttributes: true to compare tags by name only, an array of attribute
+ *   names to ignore, or { allow: [...] } to compare only the listed attributes
+ * - ignoreTags: compare text only; changes made only of tags are reported as unchanged
+ * - normalizeEntities: compare character references by the character they stand
+ *   for (&nbsp; as a non-breaking space, &amp; as &, ...)
+ * Whenever these options are used, tags are also compared with their attributes
+ * sorted. Unchanged content is always rendered from the after text.
+ * - detectMoves: pair deleted and inserted blocks with the same or similar content
+ *   and report them as moves (diff, diffToHTML and diffToSideBySide)
+ * - moveThreshold: minimum token similarity (0-1) for two blocks to count as a move
+ * - minMoveLength: minimum text length, in characters, of a moved block
+ * - refine: diff the text of replacements again character by character; diff
+ *   objects get a nested `changes` array and HTML output marks the changed characters
+ * - refineThreshold: minimum character similarity (0-1) for a replacement to be refined
+ * - positionUnit: 'utf16' | 'codepoint' | 'grapheme' - unit of the positions and
+ *   lengths in diff objects: UTF-16 code units (string indices), code points or
+ *   grapheme clusters. Positions are 0-based offsets into the inputs and end
+ *   positions are inclusive. Every xPosition field comes with xLine and xColumn
+ *   fields, both 1-based, with columns counted in the same unit.
+ */
+const DEFAULT_OPTIONS = {
+  format: 'html',
+  granularity: 'word',
+  locale: undefined,
+  tokenize: null,
+  algorithm: 'myers',
+  mode: 'flat',
+  similarityThreshold: 0.5,
+  render: {},
+  cleanup: 'none',
+  editCost: 4,
+  ignoreWhitespace: false,
+  ignoreCase: false,
+  ignorePunctuation: false,
+  ignoreAttributes: false,
+  ignoreTags: false,
+  normalizeEntities: false,
+  detectMoves: false,
+  moveThreshold: 0.8,
+  minMoveLength: 20,
+  refine: false,
+  refineThreshold: 0.5,
+  positionUnit: 'utf16'
+};
+
+// Comparison options turned off, for operations that must see every change
+const EXACT_COMPARISON = {
+  ignoreWhitespace: false,
+  ignoreCase: false,
+  ignorePunctuation: false,
+  ignoreAttributes: false,
+  ignoreTags: false,
+  normalizeEntities: false
+};
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', copy: '\u00a9', reg: '\u00ae',
+  lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d'
+};
+
+const ENTITY_PATTERN = /&(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#[xX][0-9a-fA-F]+);/g;
+
+/**
+ * Default options for rendering diffs as HTML (diffToHTML)
+ * - order: 'del-first' | 'ins-first' - order of the two halves of a replacement
+ * - tags: element names used for inserted, deleted and modified content
+ * - classNames: class added to each of those elements ('' for none), to
+ *   the source (moveFrom) and destination (moveTo) of moved blocks and to
+ *   character-level changes inside refined replacements (intraword)
+ * - openTag: ({ type, operation, index, changeId, tag, className, attributes, text }) => string | false | null
+ *   builds the opening tag of each change; `index` counts changes in document order,
+ *   `changeId` is the change's stable ID (see changeIds), false omits the change
+ *   from the output and null keeps the default tag
+ * - sanitize: false | 'escape' | 'allowlist' - for untrusted input: 'escape' shows
+ *   both inputs as plain text, 'allowlist' keeps only ALLOWED_TAGS and their
+ *   attributes, dropping scripts, event handlers and unsafe URLs. Markup added
+ *   by the renderer itself (including openTag results) is not sanitised.
+ */
+const DEFAULT_RENDER_OPTIONS = {
+  order: 'del-first',
+  tags: { insert: 'ins', delete: 'del', modify: 'span' },
+  classNames: { insert: '', delete: '', modify: 'diff-mod', moveFrom: 'diff-move-from', moveTo: 'diff-move-to',
+    intraword: 'diff-intraword' },
+  openTag: null,
+  sanitize: false
+};
+
+const SANITIZE_MODES = [false, 'escape', 'allowlist'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Elements kept by 'allowlist' sanitising, each with the attributes it may keep
+// on top of the '*' ones. Event handlers and style are never kept.
+const ALLOWED_TAGS = {
+  '*': ['class', 'dir', 'id', 'lang', 'title'],
+  a: ['href', 'name', 'rel'], abbr: [], audio: ['controls', 'src'], b: [], blockquote: ['cite'],
+  br: [], caption: [], cite: [], code: [], col: ['span'], colgroup: ['span'], dd: [],
+  del: ['cite', 'datetime'], div: [], dl: [], dt: [], em: [], figcaption: [], figure: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [],
+  img: ['alt', 'height', 'src', 'width'], ins: ['cite', 'datetime'], kbd: [], li: ['value'], mark: [],
+  ol: ['reversed', 'start', 'type'], p: [], picture: [], pre: [], q: ['cite'], s: [], small: [],
+  source: ['src', 'type'], span: [], strong: [], sub: [], sup: [], table: [], tbody: [],
+  td: ['colspan', 'rowspan'], tfoot: [], th: ['colspan', 'rowspan', 'scope'], thead: [], tr: [], u: [], ul: [],
+  video: ['controls', 'height', 'poster', 'src', 'width']
+};
+
+// Elements dropped together with their content by 'allowlist' sanitising
+const DROPPED_ELEMENTS = new Set([
+  'iframe', 'math', 'noembed', 'noframes', 'noscript', 'object', 'script', 'style',
+  'svg', 'template', 'textarea', 'title', 'xmp'
+]);
+
+// Attributes holding URLs, and the schemes they may use ('data:' is only allowed for images)
+const URL_ATTRIBUTES = ['cite', 'href', 'poster', 'src'];
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+const FORMATS = ['html', 'text', 'markdown'];
+const GRANULARITIES = ['char', 'word', 'sentence', 'line'];
+const ALGORITHMS = ['myers', 'patience', 'histogram', 'lcs'];
+const MODES = ['flat', 'tree'];
+const CLEANUPS = ['none', 'semantic', 'efficiency'];
+
+const POSITION_UNITS = ['utf16', 'codepoint', 'grapheme'];
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Embedded content compared as a single token, from start tag to end tag
+const MEDIA_ELEMENTS = new Set([
+  'audio', 'canvas', 'iframe', 'math', 'object', 'picture', 'svg', 'video'
+]);
+
+// Void elements that render something; changes to them are wrapped visibly
+const VISIBLE_VOID_ELEMENTS = new Set(['embed', 'hr', 'img', 'input']);
+
+// Elements marked as a whole (diff-ins/diff-del class) when inserted or deleted
+const STRUCTURAL_ELEMENTS = new Set(['dd', 'dt', 'li', 'td', 'th', 'tr']);
+
+// Elements that only hold other elements; whitespace next to their tags is never wrapped
+const CONTAINER_ELEMENTS = new Set([
+  'colgroup', 'dd', 'dl', 'dt', 'li', 'ol', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Block-level elements; the side-by-side renderer starts a new row after their end tags
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'tr', 'ul'
+]);
+
+// Open elements that are closed implicitly when one of the listed tags starts
+const IMPLIED_END_TAGS = {
+  li: ['li'],
+  p: ['p', 'div', 'ul', 'ol', 'table', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre'],
+  td: ['td', 'th', 'tr'],
+  th: ['td', 'th', 'tr'],
+  tr: ['tr'],
+  option: ['option']
+};
+
+// Block markers at the start of a Markdown line: headings, list items and quotes
+const MARKDOWN_LINE_MARKER = /^(?:[ \t]*(?:#{1,6}[ \t]+|[-*+][ \t]+|\d+[.)][ \t]+|>[ \t]?))+/;
+// Inline Markdown kept whole: images, links and code spans
+const MARKDOWN_INLINE_PATTERN = /!?\[[^\]\n]*\]\([^)\n]*\)|(`+)[^\n]*?\1/g;
+
+// Opening and closing marks of each diffToMarkdown style
+const MARKDOWN_STYLES = {
+  strikethrough: { insert: ['**', '**'], delete: ['~~', '~~'] },
+  critic: { insert: ['{++', '++}'], delete: ['{--', '--}'] }
+};
+
+// Characters of unchanged text stored around each patch hunk
+const PATCH_CONTEXT_LENGTH = 16;
+// How far (in characters) fuzzy patch application searches from the expected position
+const PATCH_MAX_DRIFT = 1000;
+// Shortest context still trusted when fuzzy application trims it
+const PATCH_MIN_CONTEXT = 4;
+
+// Histogram diff falls back to Myers when every candidate token is this common
+const HISTOGRAM_MAX_CHAIN = 64;
+
+// How long (in milliseconds) diffAsync works before yielding to the event loop
+const ASYNC_SLICE_MS = 16;
+
+// Characters given to Intl.Segmenter at a time; it slows down more than linearly on long strings
+const SEGMENT_CHUNK_LENGTH = 1024;
 
 class HTMLDiff {
-    constructor() {
+    /**
+     * @param {Object} [options] - See DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+      // Nested option objects are copied too, so instances never share state
+      this.options = { ...DEFAULT_OPTIONS, ...options, render: { ...options.render } };
+      if (!FORMATS.includes(this.options.format)) {
+        throw new Error(`Unknown format: ${this.options.format}`);
+      }
+      if (!GRANULARITIES.includes(this.options.granularity)) {
+        throw new Error(`Unknown granularity: ${this.options.granularity}`);
+      }
+      if (!ALGORITHMS.includes(this.options.algorithm)) {
+        throw new Error(`Unknown algorithm: ${this.options.algorithm}`);
+      }
+      if (!MODES.includes(this.options.mode)) {
+        throw new Error(`Unknown mode: ${this.options.mode}`);
+      }
+      if (this.options.mode === 'tree' && this.options.format !== 'html') {
+        throw new Error('Tree mode needs the html format');
+      }
+      if (!CLEANUPS.includes(this.options.cleanup)) {
+        throw new Error(`Unknown cleanup: ${this.options.cleanup}`);
+      }
+      if (!POSITION_UNITS.includes(this.options.positionUnit)) {
+        throw new Error(`Unknown position unit: ${this.options.positionUnit}`);
+      }
+      this.segmenters = {};
+      this.refiners = {};
+
       this.operationMap = {
         equal: (op, beforeTokens, afterTokens) => 
-          beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join(''),
+          afterTokens.slice(op.startInAfter, op.endInAfter + 1).join(''),
         
-        insert: (op, beforeTokens, afterTokens) => {
+        insert: (op, beforeTokens, afterTokens, context = this.createRenderContext()) => {
           const value = afterTokens.slice(op.startInAfter, op.endInAfter + 1);
-          return this.wrapWithTag('ins', value);
+          return this.renderChange('insert', value, context.changeIndex++, context);
         },
         
-        delete: (op, beforeTokens, afterTokens) => {
+        delete: (op, beforeTokens, afterTokens, context = this.createRenderContext()) => {
           const value = beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
-          return this.wrapWithTag('del', value);
+          return this.renderChange('delete', value, context.changeIndex++, context);
         },
         
-        replace: (op, beforeTokens, afterTokens) => 
-          this.operationMap.insert(op, beforeTokens, afterTokens) +
-          this.operationMap.delete(op, beforeTokens, afterTokens)
+        replace: (op, beforeTokens, afterTokens, context = this.createRenderContext()) => {
+          const index = context.changeIndex++;
+          const refinement = this.refineReplacement(beforeTokens.slice(op.startInBefore, op.endInBefore + 1),
+            afterTokens.slice(op.startInAfter, op.endInAfter + 1), 'html');
+          if (refinement) return this.renderRefinement(refinement, index, context, true, true);
+  
+          const deleted = this.renderChange('delete',
+            beforeTokens.slice(op.startInBefore, op.endInBefore + 1), index, context, 'replace');
+          const inserted = this.renderChange('insert',
+            afterTokens.slice(op.startInAfter, op.endInAfter + 1), index, context, 'replace');
+          return context.options.order === 'ins-first' ? inserted + deleted : deleted + inserted;
+        },
+  
+        'move-from': (op, beforeTokens, afterTokens, context = this.createRenderContext()) => {
+          const value = beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+          return this.renderChange('delete', value, context.changeIndex++, context, 'move-from',
+            { 'data-move-id': op.moveId });
+        },
+  
+        'move-to': (op, beforeTokens, afterTokens, context = this.createRenderContext()) =>
+          this.renderMoveDestination(op, beforeTokens, afterTokens, context, true)
       };
     }
   
@@ -35,198 +295,3230 @@ class HTMLDiff {
      */
     diff(before, after) {
       if (before === after) {
+        if (!before) return [];
+        const table = this.positionTable([before]);
         return [{
           type: 'equal',
           text: before,
-          startPosition: 0,
-          endPosition: before.length - 1,
-          length: before.length
+          ...this.rangeFields('before', table, [before], 0, 1),
+          ...this.rangeFields('after', table, [before], 0, 1),
+          length: table.offsets[1]
         }];
       }
   
       const beforeTokens = this.htmlToTokens(before);
       const afterTokens = this.htmlToTokens(after);
       const operations = this.calculateOperations(beforeTokens, afterTokens);
+      const withMoves = this.options.detectMoves
+        ? this.detectMoves(operations, beforeTokens, afterTokens)
+        : operations;
       
+      return this.createDiffObjects(before, after, beforeTokens, afterTokens, withMoves);
+    }
+  
+    /**
+     * Asynchronous diff for large documents. Both inputs are split into blocks
+     * (at block-level end tags, or line breaks for text and Markdown), unchanged
+     * blocks are aligned first and each run of changed blocks is then diffed as
+     * a separate chunk, yielding to the event loop between chunks.
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @param {Object} [asyncOptions]
+     * @param {AbortSignal} [asyncOptions.signal] - Rejects with the signal's reason (an AbortError) when aborted
+     * @param {Function} [asyncOptions.onProgress] - ({ completed, total, timedOut }) => void, called after each chunk
+     * @param {number} [asyncOptions.timeoutMs] - Deadline; chunks reached after it are reported
+     *   as whole replacements instead of being diffed (and input not yet tokenized becomes a
+     *   single token), so the result is coarser but still valid
+     * @returns {Promise<Object[]>} Diff objects, as returned by diff
+     */
+    async diffAsync(before, after, { signal, onProgress, timeoutMs } = {}) {
+      const deadline = timeoutMs === undefined ? Infinity : Date.now() + timeoutMs;
+      const throwIfAborted = () => {
+        if (!signal || !signal.aborted) return;
+        if (signal.reason !== undefined) throw signal.reason;
+        const error = new Error('The diff was aborted');
+        error.name = 'AbortError';
+        throw error;
+      };
+  
+      let sliceStart = Date.now();
+      const pause = async () => {
+        if (Date.now() - sliceStart < ASYNC_SLICE_MS) return;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        sliceStart = Date.now();
+        throwIfAborted();
+      };
+  
+      throwIfAborted();
+      if (before === after) return this.diff(before, after);
+  
+      // Tokenizing a large input takes long too, so it pauses as well; past the
+      // deadline the rest of the input becomes a single token
+      const tokenize = async html => {
+        const tokens = [];
+        let length = 0;
+        for (const piece of this.tokenPieces(html)) {
+          for (const token of piece) {
+            tokens.push(token);
+            length += token.length;
+          }
+          await pause();
+          if (Date.now() > deadline && length < html.length) {
+            tokens.push(html.slice(length));
+            break;
+          }
+        }
+        return tokens;
+      };
+  
+      const beforeTokens = await tokenize(before);
+      const afterTokens = await tokenize(after);
+      const chunks = this.alignBlocks(beforeTokens, afterTokens);
+      const total = chunks.filter(chunk => !chunk.equal).length;
+  
+      const spans = [];
+      let completed = 0;
+      let timedOut = false;
+  
+      for (const chunk of chunks) {
+        if (chunk.equal) {
+          spans.push(chunk);
+          continue;
+        }
+  
+        throwIfAborted();
+        timedOut = timedOut || Date.now() > deadline;
+        if (timedOut) {
+          spans.push(chunk);
+        } else {
+          const operations = this.calculateOperations(
+            beforeTokens.slice(chunk.startInBefore, chunk.endInBefore),
+            afterTokens.slice(chunk.startInAfter, chunk.endInAfter)
+          );
+          for (const op of operations) {
+            const span = this.toSpan(op);
+            span.startInBefore += chunk.startInBefore;
+            span.endInBefore += chunk.startInBefore;
+            span.startInAfter += chunk.startInAfter;
+            span.endInAfter += chunk.startInAfter;
+            spans.push(span);
+          }
+        }
+  
+        completed++;
+        if (onProgress) onProgress({ completed, total, timedOut });
+        await pause();
+      }
+      throwIfAborted();
+  
+      let operations = this.mergeSpans(spans).map(span => this.fromSpan(span));
+      if (this.options.detectMoves) operations = this.detectMoves(operations, beforeTokens, afterTokens);
       return this.createDiffObjects(before, after, beforeTokens, afterTokens, operations);
     }
   
+    /**
+     * Split two token arrays into blocks and align the unchanged ones
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Object[]} Half-open spans (see toSpan) covering both arrays: equal
+     *   spans for matched blocks and one changed span for each run of blocks between them
+     */
+    alignBlocks(beforeTokens, afterTokens) {
+      const isBlockEnd = token => {
+        if (this.options.format !== 'html') return token.includes('\n');
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        return Boolean(tag && tag.closing && BLOCK_ELEMENTS.has(tag.name));
+      };
+      const splitBlocks = tokens => {
+        const starts = [0];
+        tokens.forEach((token, index) => {
+          if (isBlockEnd(token) && index + 1 < tokens.length) starts.push(index + 1);
+        });
+        return tokens.length ? starts : [];
+      };
+  
+      const beforeStarts = splitBlocks(beforeTokens);
+      const afterStarts = splitBlocks(afterTokens);
+      const blockKeys = (tokens, starts) => starts.map((start, index) =>
+        this.comparisonKeys(tokens.slice(start, starts[index + 1] ?? tokens.length)).join(''));
+      // Token index where a block starts, or the end of the tokens past the last block
+      const startOf = (tokens, starts, index) => (index < starts.length ? starts[index] : tokens.length);
+  
+      const matches = this.findMatchingBlocks(blockKeys(beforeTokens, beforeStarts), blockKeys(afterTokens, afterStarts));
+      matches.push(new Match(beforeStarts.length, afterStarts.length, 0));
+  
+      const spans = [];
+      let positionInBefore = 0;
+      let positionInAfter = 0;
+      for (const match of matches) {
+        const span = (equal, beforeFrom, beforeTo, afterFrom, afterTo) => ({
+          equal,
+          startInBefore: startOf(beforeTokens, beforeStarts, beforeFrom),
+          endInBefore: startOf(beforeTokens, beforeStarts, beforeTo),
+          startInAfter: startOf(afterTokens, afterStarts, afterFrom),
+          endInAfter: startOf(afterTokens, afterStarts, afterTo)
+        });
+  
+        spans.push(span(false, positionInBefore, match.startInBefore, positionInAfter, match.startInAfter));
+        spans.push(span(true, match.startInBefore, match.startInBefore + match.length,
+          match.startInAfter, match.startInAfter + match.length));
+        positionInBefore = match.startInBefore + match.length;
+        positionInAfter = match.startInAfter + match.length;
+      }
+  
+      return this.mergeSpans(spans);
+    }
+  
+    /**
+     * Summarise how much changed between two HTML strings.
+     * Each count group is { inserted, deleted, replaced, unchanged }: `inserted`
+     * and `deleted` include both halves of replacements, `replaced` counts the
+     * deleted half of replacements only, `unchanged` counts the after side.
+     * Words are the word-like segments (Intl.Segmenter, in the `locale`) of the
+     * text each operation covers, whatever the granularity.
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @returns {Object} { tokens, words, characters, text, markup, changedBlocks,
+     *   similarity, editDistance }, where `text` and `markup` hold the tokens,
+     *   words and characters counts for text and tags separately, `similarity`
+     *   is a 0-1 ratio of unchanged characters and `editDistance` counts the
+     *   token insertions, deletions and substitutions along the computed alignment
+     */
+    diffStats(before, after) {
+      const beforeTokens = this.htmlToTokens(before);
+      const afterTokens = this.htmlToTokens(after);
+      const operations = this.calculateOperations(beforeTokens, afterTokens);
+  
+      const emptyCounts = () => ({ inserted: 0, deleted: 0, replaced: 0, unchanged: 0 });
+      const emptyGroup = () => ({ tokens: emptyCounts(), words: emptyCounts(), characters: emptyCounts() });
+      const all = emptyGroup();
+      const text = emptyGroup();
+      const markup = emptyGroup();
+  
+      // Words are found in whole runs of text rather than counted per token, so the
+      // counts are the same for every granularity
+      const addWords = (run, kind) => {
+        if (this.options.format === 'html') run = this.decodeEntities(run);
+        const segments = this.segment(run, 'word', true);
+        const words = segments
+          ? segments.filter(segment => segment.isWordLike).length
+          : (run.match(/[\p{L}\p{M}\p{N}_]+/gu) || []).length;
+        all.words[kind] += words;
+        text.words[kind] += words;
+      };
+  
+      const add = (tokens, kind) => {
+        let run = '';
+        for (const token of tokens) {
+          const isTag = this.isTag(token);
+          for (const group of [all, isTag ? markup : text]) {
+            group.tokens[kind]++;
+            group.characters[kind] += token.length;
+          }
+          if (!isTag) {
+            run += token;
+          } else if (run) {
+            addWords(run, kind);
+            run = '';
+          }
+        }
+        if (run) addWords(run, kind);
+      };
+  
+      let changedBlocks = 0;
+      let editDistance = 0;
+      let unchangedBeforeCharacters = 0;
+  
+      for (const op of operations) {
+        const removed = op.action === 'insert' ? [] : beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+        const added = op.action === 'delete' ? [] : afterTokens.slice(op.startInAfter, op.endInAfter + 1);
+  
+        if (op.action === 'equal') {
+          add(added, 'unchanged');
+          unchangedBeforeCharacters += removed.join('').length;
+          continue;
+        }
+  
+        changedBlocks++;
+        editDistance += Math.max(removed.length, added.length);
+        add(removed, 'deleted');
+        add(added, 'inserted');
+        if (op.action === 'replace') add(removed, 'replaced');
+      }
+  
+      const totalCharacters = before.length + after.length;
+      const similarity = totalCharacters === 0
+        ? 1
+        : (unchangedBeforeCharacters + all.characters.unchanged) / totalCharacters;
+  
+      return { ...all, text, markup, changedBlocks, similarity, editDistance };
+    }
+  
     /**
      * Legacy diff function - returns HTML markup (for backward compatibility)
      * @param {string} before - Original HTML string
      * @param {string} after - New HTML string
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {string} HTML with diff markup
+     */
+    diffToHTML(before, after, renderOptions) {
+      return this.renderHTML(before, after, this.createRenderContext(renderOptions));
+    }
+  
+    /**
+     * Apply review decisions to a diff: accepted changes are replaced by their
+     * new content, rejected ones by their old content, and changes without a
+     * decision stay marked up as in diffToHTML. Change IDs are the data-change-id
+     * attributes of diffToHTML output; decisions for IDs that are not in the
+     * diff (e.g. changes that no longer exist) are ignored. Changes made only of
+     * tags are not wrapped, so their IDs are only passed to the openTag callback.
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @param {Object} [decisions] - { [changeId]: 'accept' | 'reject' }
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {string} HTML with the undecided changes marked up
+     */
+    resolveChanges(before, after, decisions = {}, renderOptions) {
+      if (this.options.mode === 'tree') throw new Error('resolveChanges needs the flat mode');
+      for (const [id, decision] of Object.entries(decisions)) {
+        if (!['accept', 'reject'].includes(decision)) throw new Error(`Unknown decision for ${id}: ${decision}`);
+      }
+      return this.renderHTML(before, after, { ...this.createRenderContext(renderOptions), decisions });
+    }
+  
+    /**
+     * Sanitise, diff and render two HTML strings with inline changes
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @param {Object} context - Render context from createRenderContext
      * @returns {string} HTML with diff markup
      */
-    diffToHTML(before, after) {
-      if (before === after) return before;
+    renderHTML(before, after, context) {
+      const { sanitize } = context.options;
+      if (sanitize && this.options.format === 'html') {
+        before = this.sanitizeHTML(before, sanitize);
+        after = this.sanitizeHTML(after, sanitize);
+      }
+      if (before === after) return this.displayTokens([after]).join('');
+  
+      if (this.options.mode === 'tree') return this.diffTree(before, after, context);
+  
+      const beforeTokens = this.htmlToTokens(before);
+      const afterTokens = this.htmlToTokens(after);
+      let operations = this.calculateOperations(beforeTokens, afterTokens);
+      if (this.options.detectMoves) operations = this.detectMoves(operations, beforeTokens, afterTokens);
+      
+      return this.renderOperations(this.displayTokens(beforeTokens), this.displayTokens(afterTokens), operations, context);
+    }
+  
+    /**
+     * Diff two HTML strings and outline the result by the sections their
+     * <h1>-<h6> headings start, for navigating long documents. The HTML is
+     * rendered as in diffToHTML (flat mode) with an empty <a class="diff-anchor">
+     * before each section and each change, so that the table of contents can
+     * link to them.
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @param {Object} [outlineOptions]
+     * @param {boolean} [outlineOptions.collapseUnchanged=true] - Fold the content of sections
+     *   without changes into <details class="diff-unchanged"> ("N unchanged paragraphs")
+     * @param {string} [outlineOptions.anchorPrefix='diff-'] - Prefix of the anchor IDs
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {{sections: Object[], toc: string, html: string}} Sections in document order as
+     *   { id, level, title, counts: { inserted, deleted, replaced, moved }, changes }, where
+     *   `changes` are the diff objects of the section's changes with their `changeId` and
+     *   `anchor`; content before the first heading is a section of level 0. `toc` is a
+     *   <nav class="diff-toc"> linking to every section and change.
+     */
+    diffOutline(before, after, { collapseUnchanged = true, anchorPrefix = 'diff-' } = {}, renderOptions) {
+      const context = this.createRenderContext(renderOptions);
+      const { sanitize } = context.options;
+      if (sanitize && this.options.format === 'html') {
+        before = this.sanitizeHTML(before, sanitize);
+        after = this.sanitizeHTML(after, sanitize);
+      }
+  
+      const beforeTokens = this.htmlToTokens(before);
+      const afterTokens = this.htmlToTokens(after);
+      let operations = this.calculateOperations(beforeTokens, afterTokens);
+      if (this.options.detectMoves) operations = this.detectMoves(operations, beforeTokens, afterTokens);
+  
+      const displayBefore = this.displayTokens(beforeTokens);
+      const displayAfter = this.displayTokens(afterTokens);
+      const changeIds = this.changeIds(operations, displayBefore, displayAfter);
+      const diffObjects = this.createDiffObjects(before, after, beforeTokens, afterTokens, operations);
+      const moves = new Map(diffObjects.filter(({ type }) => type === 'move').map(move => [move.moveId, move]));
+  
+      // One chunk of HTML per section: its anchor and heading, then its content
+      const sections = [];
+      const chunks = [];
+      let heading = null;
+  
+      const write = (html, token, inHeading) => {
+        const chunk = chunks[chunks.length - 1];
+        if (inHeading && !chunk.body) {
+          chunk.head += html;
+        } else {
+          chunk.body += html;
+          if (token !== undefined) chunk.bodyTokens.push(token);
+        }
+      };
+  
+      const startSection = level => {
+        const section = {
+          id: `${anchorPrefix}section-${sections.length}`,
+          level,
+          title: '',
+          counts: { inserted: 0, deleted: 0, replaced: 0, moved: 0 },
+          changes: []
+        };
+        sections.push(section);
+        chunks.push({ head: `<a id="${section.id}" class="diff-anchor"></a>`, body: '', bodyTokens: [] });
+        return section;
+      };
+  
+      // Follow headings through the tokens; returns whether the token starts a section
+      const read = token => {
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        if (tag && /^h[1-6]$/.test(tag.name)) {
+          if (!tag.closing) {
+            heading = { name: tag.name, section: startSection(Number(tag.name[1])) };
+            return true;
+          }
+          if (heading && heading.name === tag.name) heading = null;
+        } else if (heading && !tag) {
+          heading.section.title += token;
+        }
+        return false;
+      };
+  
+      const startsHeading = tokens => tokens.some(token => {
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        return Boolean(tag) && !tag.closing && /^h[1-6]$/.test(tag.name);
+      });
+  
+      startSection(0);
+      let nextObject = 0;
+      for (const [i, op] of operations.entries()) {
+        if (op.action === 'equal') {
+          for (let j = op.startInAfter; j <= op.endInAfter; j++) {
+            const inHeading = Boolean(heading);
+            write(displayAfter[j], afterTokens[j], read(afterTokens[j]) || inHeading);
+          }
+          nextObject++;
+          continue;
+        }
+  
+        // Headings are read from the new content, and from the old content when a heading was removed
+        const removed = beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+        const added = afterTokens.slice(op.startInAfter, op.endInAfter + 1);
+        const outlineTokens = {
+          insert: added,
+          delete: removed,
+          replace: startsHeading(added) || !startsHeading(removed) ? added : [...removed, ...added],
+          'move-from': [],
+          'move-to': added
+        }[op.action];
+  
+        // A change counts in its section and in every section it starts
+        const inHeading = Boolean(heading);
+        const touched = [sections[sections.length - 1]];
+        for (const token of outlineTokens) {
+          if (read(token)) touched.push(sections[sections.length - 1]);
+        }
+  
+        const diffObject = op.action === 'move-from' ? moves.get(op.moveId) : diffObjects[nextObject++];
+        const change = { ...diffObject, changeId: changeIds[i], anchor: `${anchorPrefix}${changeIds[i]}` };
+        const count = { insert: 'inserted', delete: 'deleted', replace: 'replaced', move: 'moved' }[diffObject.type];
+        for (const section of touched) {
+          section.changes.push(change);
+          section.counts[count]++;
+        }
+  
+        // Moves are anchored at their destination
+        const anchor = op.action === 'move-from' ? '' : `<a id="${change.anchor}" class="diff-anchor"></a>`;
+        write(anchor + this.renderOperation(op, displayBefore, displayAfter, changeIds[i], context),
+          undefined, inHeading || Boolean(heading));
+      }
+  
+      for (const section of sections) {
+        section.title = this.decodeEntities(section.title).replace(/\s+/g, ' ').trim();
+      }
+  
+      const html = chunks.map((chunk, k) => {
+        const section = sections[k];
+        if (section.changes.length) return chunk.head + chunk.body;
+        // Nothing before the first heading
+        if (k === 0 && !chunk.bodyTokens.join('').trim()) return chunk.body;
+  
+        const blocks = this.countBlocks(chunk.bodyTokens);
+        const { unclosed, unopened } = this.tagBalance(chunk.bodyTokens);
+        if (!collapseUnchanged || !blocks || unclosed || unopened) return chunk.head + chunk.body;
+        return `${chunk.head}<details class="diff-unchanged"><summary>${blocks} unchanged ` +
+          `${blocks === 1 ? 'paragraph' : 'paragraphs'}</summary>${chunk.body}</details>`;
+      }).join('');
+  
+      const outline = sections.filter((section, k) => k > 0 || section.changes.length || chunks[0].bodyTokens.join('').trim());
+      return { sections: outline, toc: this.renderToc(outline), html };
+    }
+  
+    /**
+     * Number of top-level block elements among some tokens
+     * @param {string[]} tokens 
+     * @returns {number}
+     */
+    countBlocks(tokens) {
+      let depth = 0;
+      let blocks = 0;
+      for (const token of tokens) {
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        if (!tag || tag.selfClosing || VOID_ELEMENTS.has(tag.name)) continue;
+        if (tag.closing) {
+          depth--;
+          continue;
+        }
+        if (depth === 0 && BLOCK_ELEMENTS.has(tag.name)) blocks++;
+        depth++;
+      }
+      return blocks;
+    }
+  
+    /**
+     * Table of contents of a diff outline, with each section's change count and
+     * a link to each of its changes
+     * @param {Object[]} sections - Sections from diffOutline
+     * @returns {string} HTML <nav>
+     */
+    renderToc(sections) {
+      const labels = { insert: 'Inserted', delete: 'Deleted', replace: 'Replaced', move: 'Moved' };
+      const describe = change => {
+        let text = change.type === 'replace' ? change.newText || change.oldText : change.text;
+        if (this.options.format === 'html') text = this.decodeEntities(text.replace(/<[^>]*>/g, ''));
+        text = text.replace(/\s+/g, ' ').trim();
+        if (text.length > 40) text = `${text.slice(0, 40).trimEnd()}\u2026`;
+        return text ? `${labels[change.type]}: ${text}` : labels[change.type];
+      };
+  
+      const items = sections.map(section => {
+        const title = section.title || (section.level ? 'Untitled section' : 'Start of document');
+        const count = section.changes.length;
+        const summary = count ? `${count} ${count === 1 ? 'change' : 'changes'}` : 'unchanged';
+        const links = section.changes
+          .map(change => `<li><a href="#${change.anchor}">${this.escapeHTML(describe(change))}</a></li>`)
+          .join('');
+        return `<li class="diff-toc-h${section.level}"><a href="#${section.id}">${this.escapeHTML(title)}</a> ` +
+          `<span class="diff-toc-count">${summary}</span>${links ? `<ul>${links}</ul>` : ''}</li>`;
+      });
+  
+      return `<nav class="diff-toc"><ul>\n${items.join('\n')}\n</ul></nav>`;
+    }
+  
+    /**
+     * Diff two HTML strings and render them as a two-column, row-aligned table
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {string} HTML table
+     */
+    diffToSideBySide(before, after, renderOptions) {
+      const { sanitize } = this.createRenderContext(renderOptions).options;
+      if (sanitize && this.options.format === 'html') {
+        before = this.sanitizeHTML(before, sanitize);
+        after = this.sanitizeHTML(after, sanitize);
+      }
+  
+      const beforeTokens = this.htmlToTokens(before);
+      const afterTokens = this.htmlToTokens(after);
+      let operations = this.calculateOperations(beforeTokens, afterTokens);
+      if (this.options.detectMoves) operations = this.detectMoves(operations, beforeTokens, afterTokens);
+  
+      return this.renderSideBySide(this.displayTokens(beforeTokens), this.displayTokens(afterTokens),
+        operations, renderOptions);
+    }
+  
+    /**
+     * Diff two untrusted strings as plain text: every character of the inputs,
+     * markup included, is escaped before the diff markup is added
+     * @param {string} before - Original text
+     * @param {string} after - New text
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {string} HTML with diff markup
+     */
+    diffTextToHTML(before, after, renderOptions) {
+      return this.diffToHTML(before, after, { ...renderOptions, sanitize: 'escape' });
+    }
+  
+    /**
+     * Tokens as they appear in HTML output: text and Markdown inputs are escaped
+     * token by token, so operations computed on the raw tokens still apply
+     * @param {string[]} tokens 
+     * @returns {string[]} Tokens
+     */
+    displayTokens(tokens) {
+      if (this.options.format === 'html') return tokens;
+      return tokens.map(token => this.escapeHTML(token));
+    }
+  
+    /**
+     * Diff two Markdown documents and render the result as Markdown
+     * @param {string} before - Original Markdown
+     * @param {string} after - New Markdown
+     * @param {Object} [markdownOptions] - { style: 'strikethrough' | 'critic' }:
+     *   ~~deleted~~ and **inserted** text, or CriticMarkup {--deleted--}, {++inserted++}
+     *   and {~~old~>new~~}
+     * @returns {string} Markdown with the changes marked
+     */
+    diffToMarkdown(before, after, { style = 'strikethrough' } = {}) {
+      if (!Object.hasOwn(MARKDOWN_STYLES, style)) throw new Error(`Unknown Markdown style: ${style}`);
+      if (before === after) return after;
+  
+      const differ = this.options.format === 'markdown' ? this : new HTMLDiff({ ...this.options, format: 'markdown' });
+      const beforeTokens = differ.htmlToTokens(before);
+      const afterTokens = differ.htmlToTokens(after);
+      const isBlockToken = token => /^\r?\n$/.test(token) || this.isMarkdownMarker(token);
+  
+      return differ.calculateOperations(beforeTokens, afterTokens).map(op => {
+        const removed = op.action === 'insert' ? [] : beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+        const added = op.action === 'delete' ? [] : afterTokens.slice(op.startInAfter, op.endInAfter + 1);
+  
+        switch (op.action) {
+          case 'equal':
+            return added.join('');
+          case 'insert':
+            return this.markMarkdown('insert', added, style, true);
+          case 'delete':
+            return this.markMarkdown('delete', removed, style, true);
+          default:
+            if (style === 'critic' && !removed.some(isBlockToken) && !added.some(isBlockToken)) {
+              return `{~~${removed.join('')}~>${added.join('')}~~}`;
+            }
+            // Only the after side's line breaks and block markers are kept, so the lines stay intact
+            return this.markMarkdown('delete', removed, style, false) + this.markMarkdown('insert', added, style, true);
+        }
+      }).join('');
+    }
+  
+    /**
+     * Mark one side of a Markdown change. Marks never span line breaks or
+     * block markers, and hug the text so that emphasis still parses.
+     * @param {string} type - 'insert' or 'delete'
+     * @param {string[]} tokens - Changed tokens
+     * @param {string} style - Key of MARKDOWN_STYLES
+     * @param {boolean} keepBlocks - Whether line breaks and block markers of deleted text are kept
+     * @returns {string} Markdown
+     */
+    markMarkdown(type, tokens, style, keepBlocks) {
+      const [open, close] = MARKDOWN_STYLES[style][type];
+      let markdown = '';
+      let run = [];
+  
+      const flush = () => {
+        const text = run.join('');
+        run = [];
+        if (!text.trim()) {
+          if (type === 'insert') markdown += text;
+          return;
+        }
+        const [, lead, body, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+        markdown += `${lead}${open}${body}${close}${trail}`;
+      };
+  
+      for (const token of tokens) {
+        if (/^\r?\n$/.test(token) || this.isMarkdownMarker(token)) {
+          flush();
+          if (type === 'insert' || keepBlocks) markdown += token;
+        } else {
+          run.push(token);
+        }
+      }
+      flush();
+      return markdown;
+    }
+  
+    /**
+     * Whether a token is a Markdown block marker (heading, list item or quote prefix)
+     * @param {string} token 
+     * @returns {boolean}
+     */
+    isMarkdownMarker(token) {
+      const match = MARKDOWN_LINE_MARKER.exec(token);
+      return Boolean(match) && match[0] === token;
+    }
+  
+    /**
+     * Make untrusted HTML safe to render, see the `sanitize` render option
+     * @param {string} html 
+     * @param {string} [mode] - 'escape' or 'allowlist'
+     * @returns {string} Escaped or sanitised HTML
+     */
+    sanitizeHTML(html, mode = 'allowlist') {
+      if (mode === 'escape') return this.escapeHTML(html);
+  
+      let sanitized = '';
+      let dropping = null;
+      for (const segment of this.splitTags(html)) {
+        const tag = segment.isTag && this.parseTag(segment.text);
+        if (dropping) {
+          if (tag && tag.closing && tag.name === dropping) dropping = null;
+          continue;
+        }
+  
+        if (!segment.isTag) {
+          sanitized += segment.text.replace(/>/g, '&gt;');
+        } else if (!tag) {
+          // Comments, doctypes and unterminated tags are dropped
+        } else if (DROPPED_ELEMENTS.has(tag.name)) {
+          if (!tag.closing && !tag.selfClosing) dropping = tag.name;
+        } else if (Object.hasOwn(ALLOWED_TAGS, tag.name)) {
+          sanitized += this.sanitizeTag(tag);
+        }
+      }
+      return sanitized;
+    }
+  
+    /**
+     * Rebuild an allowed tag with only its allowed attributes and safe URLs.
+     * Attribute values are decoded before they are checked and re-escaped
+     * after, so the browser sees exactly the value that was checked.
+     * @param {Object} tag - Tag from parseTag
+     * @returns {string} Tag
+     */
+    sanitizeTag(tag) {
+      if (tag.closing) return `</${tag.name}>`;
+  
+      const allowed = [...ALLOWED_TAGS['*'], ...ALLOWED_TAGS[tag.name]];
+      const attributes = Object.entries(tag.attributes)
+        .filter(([name]) => allowed.includes(name))
+        .map(([name, value]) => [name, this.decodeEntities(value)])
+        .filter(([name, value]) => !URL_ATTRIBUTES.includes(name) || this.isSafeURL(value, name))
+        .map(([name, value]) => ` ${name}="${this.escapeHTML(value)}"`);
+  
+      return `<${tag.name}${attributes.join('')}${tag.selfClosing ? ' /' : ''}>`;
+    }
+  
+    /**
+     * Whether a decoded URL attribute value is safe to keep
+     * @param {string} url 
+     * @param {string} attribute - Attribute name; only src may hold data: images
+     * @returns {boolean}
+     */
+    isSafeURL(url, attribute) {
+      // Browsers ignore whitespace and control characters inside the scheme
+      const compact = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+      const scheme = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(compact);
+      if (!scheme) return true;
+  
+      const name = scheme[1].toLowerCase();
+      if (SAFE_URL_SCHEMES.includes(name)) return true;
+      return name === 'data' && attribute === 'src' && /^data:image\/(?:png|gif|jpe?g|webp)[;,]/i.test(compact);
+    }
+  
+    /**
+     * Escape text for use in HTML content or attribute values
+     * @param {string} text 
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+      return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+  
+    /**
+     * Diff two strings line by line and render a unified diff
+     * @param {string} before - Original text
+     * @param {string} after - New text
+     * @param {Object} [unifiedOptions] - See renderUnified
+     * @returns {string} Unified diff, empty when the inputs are identical
+     */
+    diffToUnified(before, after, unifiedOptions) {
+      if (before === after) return '';
+  
+      const beforeLines = this.splitLines(before);
+      const afterLines = this.splitLines(after);
+      const operations = this.calculateOperations(beforeLines, afterLines);
+  
+      return this.renderUnified(beforeLines, afterLines, operations, unifiedOptions);
+    }
+  
+    /**
+     * Inline renderer: one document with <del>/<ins> around the changes
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @param {Object[]} operations - Operations from calculateOperations
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {string} HTML with diff markup
+     */
+    renderInline(beforeTokens, afterTokens, operations, renderOptions) {
+      return this.renderOperations(beforeTokens, afterTokens, operations, this.createRenderContext(renderOptions));
+    }
+  
+    /**
+     * Side-by-side renderer: a table whose left column holds the before document
+     * with only deletions marked and whose right column holds the after document
+     * with only insertions marked. Rows break at newlines and block-level end tags
+     * in unchanged content, so both columns stay aligned.
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @param {Object[]} operations - Operations from calculateOperations
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {string} HTML table
+     */
+    renderSideBySide(beforeTokens, afterTokens, operations, renderOptions) {
+      const context = this.createRenderContext(renderOptions);
+      const rows = [];
+      let row = { before: '', after: '', changed: false };
+  
+      const endRow = () => {
+        rows.push(row);
+        row = { before: '', after: '', changed: false };
+      };
+  
+      const changeIds = this.changeIds(operations, beforeTokens, afterTokens);
+  
+      for (const [i, op] of operations.entries()) {
+        context.changeId = changeIds[i];
+        if (op.action === 'equal') {
+          // Both sides have as many tokens unless comparison options made them equal
+          const beforeEqual = beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+          const afterEqual = afterTokens.slice(op.startInAfter, op.endInAfter + 1);
+  
+          for (let i = 0; i < Math.max(beforeEqual.length, afterEqual.length); i++) {
+            const token = afterEqual[i] ?? beforeEqual[i];
+            const sameToken = beforeEqual[i] === afterEqual[i];
+            // A before token that differs stays whole, on the row where the after token starts
+            if (!sameToken && beforeEqual[i] !== undefined) row.before += beforeEqual[i];
+  
+            // Tags, including whole media elements, are never split across rows
+            const lines = this.isTag(token) ? [token] : token.split('\n');
+            lines.forEach((line, j) => {
+              const text = j < lines.length - 1 ? `${line}\n` : line;
+              if (afterEqual[i] !== undefined) row.after += text;
+              if (sameToken) row.before += text;
+              if (j < lines.length - 1) endRow();
+            });
+  
+            const tag = this.isTag(token) && this.parseTag(token.trim());
+            if (tag && tag.closing && BLOCK_ELEMENTS.has(tag.name)) endRow();
+          }
+          continue;
+        }
+  
+        row.changed = true;
+        if (op.action === 'move-from') {
+          row.before += this.operationMap['move-from'](op, beforeTokens, afterTokens, context);
+          continue;
+        }
+        if (op.action === 'move-to') {
+          row.after += this.renderMoveDestination(op, beforeTokens, afterTokens, context, false);
+          continue;
+        }
+  
+        const index = context.changeIndex++;
+        const refinement = op.action === 'replace' && this.refineReplacement(
+          beforeTokens.slice(op.startInBefore, op.endInBefore + 1),
+          afterTokens.slice(op.startInAfter, op.endInAfter + 1), 'html');
+        if (refinement) {
+          row.before += this.renderRefinement(refinement, index, context, true, false);
+          row.after += this.renderRefinement(refinement, index, context, false, true);
+          continue;
+        }
+  
+        if (op.action !== 'insert') {
+          row.before += this.renderChange('delete',
+            beforeTokens.slice(op.startInBefore, op.endInBefore + 1), index, context, op.action);
+        }
+        if (op.action !== 'delete') {
+          row.after += this.renderChange('insert',
+            afterTokens.slice(op.startInAfter, op.endInAfter + 1), index, context, op.action);
+        }
+      }
+      if (row.before || row.after) endRow();
+  
+      const body = rows
+        .filter(({ before, after, changed }) => changed || before.trim() || after.trim())
+        .map(({ before, after, changed }) =>
+          `<tr${changed ? ' class="diff-changed"' : ''}>` +
+          `<td class="diff-before">${before}</td><td class="diff-after">${after}</td></tr>`)
+        .join('\n');
+  
+      return `<table class="diff-side-by-side">\n${body}\n</table>`;
+    }
+  
+    /**
+     * Unified renderer: plain-text diff with @@ hunk headers, for line tokens
+     * @param {string[]} beforeLines - Lines of the before text, with their newlines
+     * @param {string[]} afterLines - Lines of the after text, with their newlines
+     * @param {Object[]} operations - Operations from calculateOperations
+     * @param {Object} [options]
+     * @param {number} [options.context=3] - Unchanged lines shown around each change
+     * @param {string} [options.fromFile='before'] - Name on the --- header line
+     * @param {string} [options.toFile='after'] - Name on the +++ header line
+     * @returns {string} Unified diff, empty when there are no changes
+     */
+    renderUnified(beforeLines, afterLines, operations, { context = 3, fromFile = 'before', toFile = 'after' } = {}) {
+      // Flatten operations into one entry per line, counting the lines each entry covers
+      const lines = [];
+      for (const op of operations) {
+        if (op.action === 'equal') {
+          // Comparison options can make runs of different lengths equal; show the after lines
+          const beforeCount = op.endInBefore - op.startInBefore + 1;
+          const afterCount = op.endInAfter - op.startInAfter + 1;
+          for (let i = 0; i < Math.max(beforeCount, afterCount); i++) {
+            lines.push({
+              prefix: ' ',
+              text: i < afterCount ? afterLines[op.startInAfter + i] : beforeLines[op.startInBefore + i],
+              before: i < beforeCount ? 1 : 0,
+              after: i < afterCount ? 1 : 0
+            });
+          }
+          continue;
+        }
+        if (op.action !== 'insert') {
+          for (let i = op.startInBefore; i <= op.endInBefore; i++) {
+            lines.push({ prefix: '-', text: beforeLines[i], before: 1, after: 0 });
+          }
+        }
+        if (op.action !== 'delete') {
+          for (let i = op.startInAfter; i <= op.endInAfter; i++) {
+            lines.push({ prefix: '+', text: afterLines[i], before: 0, after: 1 });
+          }
+        }
+      }
+  
+      // Line numbers before each entry
+      let beforeLine = 0;
+      let afterLine = 0;
+      for (const line of lines) {
+        line.beforeLine = beforeLine;
+        line.afterLine = afterLine;
+        beforeLine += line.before;
+        afterLine += line.after;
+      }
+  
+      // Group changes into hunks, joining those whose context would overlap
+      const hunks = [];
+      lines.forEach((line, index) => {
+        if (line.prefix === ' ') return;
+        const start = Math.max(0, index - context);
+        const end = Math.min(lines.length, index + context + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) last.end = Math.max(last.end, end);
+        else hunks.push({ start, end });
+      });
+      if (!hunks.length) return '';
+  
+      const range = (start, count) => {
+        if (count === 0) return `${start},0`;
+        return count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+      };
+  
+      const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+      for (const { start, end } of hunks) {
+        const hunkLines = lines.slice(start, end);
+        const beforeCount = hunkLines.reduce((sum, line) => sum + line.before, 0);
+        const afterCount = hunkLines.reduce((sum, line) => sum + line.after, 0);
+        output.push(`@@ -${range(lines[start].beforeLine, beforeCount)} +${range(lines[start].afterLine, afterCount)} @@`);
+  
+        for (const line of hunkLines) {
+          output.push(line.prefix + line.text.replace(/\n$/, ''));
+          if (!line.text.endsWith('\n')) output.push('\\ No newline at end of file');
+        }
+      }
+  
+      return `${output.join('\n')}\n`;
+    }
+  
+    /**
+     * Render operations as a single HTML document with inline changes
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @param {Object[]} operations - Operations from calculateOperations
+     * @param {Object} [context] - Render context from createRenderContext
+     * @returns {string} HTML with diff markup
+     */
+    renderOperations(beforeTokens, afterTokens, operations, context = this.createRenderContext()) {
+      // Tree mode renders each text run separately, where IDs would not be unique
+      const changeIds = this.options.mode === 'tree' ? [] : this.changeIds(operations, beforeTokens, afterTokens);
+  
+      return operations
+        .map((op, i) => this.renderOperation(op, beforeTokens, afterTokens, changeIds[i] ?? null, context))
+        .join('');
+    }
+  
+    /**
+     * Render one operation, or its new or old content when resolveChanges
+     * has a decision for it
+     * @param {Object} op 
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @param {?string} changeId - ID of the change, from changeIds
+     * @param {Object} context - Render context from createRenderContext
+     * @returns {string} HTML
+     */
+    renderOperation(op, beforeTokens, afterTokens, changeId, context) {
+      const decision = changeId && context.decisions[changeId];
+      if (decision === 'accept') {
+        if (['delete', 'move-from'].includes(op.action)) return '';
+        return afterTokens.slice(op.startInAfter, op.endInAfter + 1).join('');
+      }
+      if (decision === 'reject') {
+        if (['insert', 'move-to'].includes(op.action)) return '';
+        return beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join('');
+      }
+  
+      context.changeId = changeId;
+      return this.operationMap[op.action](op, beforeTokens, afterTokens, context);
+    }
+  
+    /**
+     * Stable IDs for the changes among some operations, derived from what each
+     * change removes and adds rather than from where it is, so that a change keeps
+     * its ID when the rest of the document is edited. Identical changes are told
+     * apart by a -2, -3, ... suffix in document order. Both ends of a move share an ID.
+     * @param {Object[]} operations 
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Array<string|null>} ID of each operation, null for equal ones
+     */
+    changeIds(operations, beforeTokens, afterTokens) {
+      const moves = new Map();
+      for (const op of operations) {
+        if (op.moveId === undefined) continue;
+        const move = moves.get(op.moveId) ?? { removed: '', added: '' };
+        if (op.action === 'move-from') move.removed = beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join('');
+        else move.added = afterTokens.slice(op.startInAfter, op.endInAfter + 1).join('');
+        moves.set(op.moveId, move);
+      }
+  
+      const seen = new Map();
+      const moveIds = new Map();
+      return operations.map(op => {
+        if (op.action === 'equal') return null;
+        if (moveIds.has(op.moveId)) return moveIds.get(op.moveId);
+  
+        const { removed, added } = moves.get(op.moveId) ?? {
+          removed: op.action === 'insert' ? '' : beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join(''),
+          added: op.action === 'delete' ? '' : afterTokens.slice(op.startInAfter, op.endInAfter + 1).join('')
+        };
+        // FNV-1a
+        const key = `${op.moveId === undefined ? op.action : 'move'}\0${removed}\0${added}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) hash = Math.imul(hash ^ key.charCodeAt(i), 0x01000193);
+  
+        const base = `c${(hash >>> 0).toString(36)}`;
+        const count = (seen.get(base) ?? 0) + 1;
+        seen.set(base, count);
+        const id = count === 1 ? base : `${base}-${count}`;
+        if (op.moveId !== undefined) moveIds.set(op.moveId, id);
+        return id;
+      });
+    }
+  
+    /**
+     * Resolve render options and start a change counter for one rendering pass
+     * @param {Object} [renderOptions] - Overrides for the instance's render options
+     * @returns {{options: Object, changeIndex: number, changeId: ?string, decisions: Object}} Render
+     *   context; `changeId` is the ID of the change being rendered and `decisions` the
+     *   resolveChanges decisions
+     */
+    createRenderContext(renderOptions = {}) {
+      const defaults = { ...DEFAULT_RENDER_OPTIONS, ...this.options.render };
+      const options = { ...defaults, ...renderOptions };
+      options.tags = { ...DEFAULT_RENDER_OPTIONS.tags, ...this.options.render.tags, ...renderOptions.tags };
+      options.classNames = {
+        ...DEFAULT_RENDER_OPTIONS.classNames,
+        ...this.options.render.classNames,
+        ...renderOptions.classNames
+      };
+  
+      if (!['del-first', 'ins-first'].includes(options.order)) {
+        throw new Error(`Unknown order: ${options.order}`);
+      }
+      if (!SANITIZE_MODES.includes(options.sanitize)) {
+        throw new Error(`Unknown sanitize mode: ${options.sanitize}`);
+      }
+  
+      return { options, changeIndex: 0, changeId: null, decisions: {} };
+    }
+  
+    /**
+     * Render one side of a change, letting the openTag callback customise or omit it
+     * @param {string} type - 'insert' or 'delete'
+     * @param {string[]} tokens - Changed tokens
+     * @param {number} index - Change index in document order
+     * @param {Object} context - Render context
+     * @param {string} [operation] - Operation the change belongs to ('replace' for either half,
+     *   'move-from'/'move-to' for moved blocks)
+     * @param {Object} [attributes] - Extra attributes for the opening tag, e.g. data-move-id;
+     *   data-change-id is added for changes that have an ID
+     * @returns {string} Wrapped content
+     */
+    renderChange(type, tokens, index, context, operation = type, attributes = {}) {
+      const { tags, classNames, openTag } = context.options;
+      const { changeId } = context;
+      if (changeId) attributes = { ...attributes, 'data-change-id': changeId };
+      let tag = tags[type];
+      const className = { 'move-from': classNames.moveFrom, 'move-to': classNames.moveTo, intraword: classNames.intraword }[operation] ??
+        classNames[type];
+      const extra = Object.entries(attributes).map(([name, value]) => ` ${name}="${value}"`).join('');
+      let opening = `<${tag}${className ? ` class="${className}"` : ''}${extra}>`;
+      const content = this.markElements(tokens, type);
+  
+      if (typeof openTag === 'function') {
+        const custom = openTag({ type, operation, index, changeId, tag, className, attributes, text: tokens.join('') });
+        if (custom === false) return '';
+        if (typeof custom === 'string') {
+          opening = custom;
+          const name = /^<\s*([a-zA-Z][\w:-]*)/.exec(custom);
+          if (name) tag = name[1];
+        }
+      }
+  
+      return this.wrapWithTag(tag, content, opening);
+    }
+  
+    /**
+     * Mark the list items, table rows and cells of a balanced inserted or
+     * deleted run with a diff-ins/diff-del class, so whole elements show as
+     * added or removed rather than only their text
+     * @param {string[]} tokens 
+     * @param {string} type - 'insert' or 'delete'
+     * @returns {string[]} Tokens with the outermost structural start tags marked
+     */
+    markElements(tokens, type) {
+      const { unclosed, unopened } = this.tagBalance(tokens);
+      if (unclosed || unopened) return tokens;
+  
+      const className = type === 'insert' ? 'diff-ins' : 'diff-del';
+      let depth = 0;
+      return tokens.map(token => {
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        if (!tag || tag.selfClosing || VOID_ELEMENTS.has(tag.name)) return token;
+        if (tag.closing) {
+          depth--;
+          return token;
+        }
+        depth++;
+        return depth === 1 && STRUCTURAL_ELEMENTS.has(tag.name) ? this.addClass(token, className) : token;
+      });
+    }
+  
+    /**
+     * Render a refined replacement: unchanged characters as they are, changed
+     * ones wrapped with the intraword class
+     * @param {Object} refinement - From refineReplacement
+     * @param {number} index - Change index of the replacement
+     * @param {Object} context - Render context
+     * @param {boolean} withDeletions - Whether removed characters are shown
+     * @param {boolean} withInsertions - Whether added characters are shown; unchanged
+     *   characters are taken from the after text when they are, from the before text otherwise
+     * @returns {string} HTML with diff markup
+     */
+    renderRefinement({ beforeTokens, afterTokens, operations }, index, context, withDeletions, withInsertions) {
+      return operations.map(op => {
+        const removed = op.action === 'insert' ? [] : beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+        const added = op.action === 'delete' ? [] : afterTokens.slice(op.startInAfter, op.endInAfter + 1);
+        if (op.action === 'equal') return (withInsertions ? added : removed).join('');
+  
+        const deleted = withDeletions && removed.length
+          ? this.renderChange('delete', removed, index, context, 'intraword')
+          : '';
+        const inserted = withInsertions && added.length
+          ? this.renderChange('insert', added, index, context, 'intraword')
+          : '';
+        return context.options.order === 'ins-first' ? inserted + deleted : deleted + inserted;
+      }).join('');
+    }
+  
+    /**
+     * Render the destination of a moved block: its text as moved, with the
+     * edits made to it on the way shown as ordinary insertions and deletions
+     * @param {Object} op - 'move-to' operation
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @param {Object} context - Render context
+     * @param {boolean} withDeletions - Whether text removed from the block is shown
+     * @returns {string} HTML with diff markup
+     */
+    renderMoveDestination(op, beforeTokens, afterTokens, context, withDeletions) {
+      const index = context.changeIndex++;
+      const attributes = { 'data-move-id': op.moveId };
+      const source = beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+      const destination = afterTokens.slice(op.startInAfter, op.endInAfter + 1);
+  
+      return this.calculateOperations(source, destination).map(inner => {
+        const removed = inner.action === 'insert' ? [] : source.slice(inner.startInBefore, inner.endInBefore + 1);
+        const added = inner.action === 'delete' ? [] : destination.slice(inner.startInAfter, inner.endInAfter + 1);
+  
+        if (inner.action === 'equal') return this.renderChange('insert', added, index, context, 'move-to', attributes);
+        return (withDeletions ? this.renderChange('delete', removed, index, context, 'delete', attributes) : '') +
+          this.renderChange('insert', added, index, context, 'insert', attributes);
+      }).join('');
+    }
+  
+    /**
+     * Create a JSON-serialisable patch that turns `before` into `after`.
+     * Hunks closer together than the context length are joined, so a hunk's
+     * context never overlaps another hunk and reads the same before and after.
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @param {Object} [options]
+     * @param {number} [options.contextLength] - Characters of context kept around each hunk
+     * @returns {{version: number, hunks: Object[]}} Patch; each hunk is
+     *   { position, deleted, inserted, prefix, suffix } with `position` in `before`, in
+     *   UTF-16 code units whatever the positionUnit
+     */
+    createPatch(before, after, { contextLength = PATCH_CONTEXT_LENGTH } = {}) {
+      // A patch has to reproduce `after` exactly from plain edits, so nothing may be ignored or
+      // moved, and its positions index strings the way applyPatch does
+      const differ = new HTMLDiff({ ...this.options, ...EXACT_COMPARISON, detectMoves: false, positionUnit: 'utf16' });
+  
+      const changes = [];
+      for (const item of differ.diff(before, after)) {
+        switch (item.type) {
+          case 'insert':
+            changes.push({ position: item.beforePosition, deleted: '', inserted: item.text });
+            break;
+          case 'delete':
+            changes.push({ position: item.beforeStartPosition, deleted: item.text, inserted: '' });
+            break;
+          case 'replace':
+            changes.push({ position: item.beforeStartPosition, deleted: item.oldText, inserted: item.newText });
+            break;
+        }
+      }
+  
+      const hunks = [];
+      for (const change of changes) {
+        const last = hunks[hunks.length - 1];
+        const lastEnd = last && last.position + last.deleted.length;
+        if (last && change.position - lastEnd < contextLength) {
+          const between = before.slice(lastEnd, change.position);
+          last.deleted += between + change.deleted;
+          last.inserted += between + change.inserted;
+        } else {
+          hunks.push({ ...change });
+        }
+      }
+  
+      for (const hunk of hunks) {
+        hunk.prefix = before.slice(Math.max(0, hunk.position - contextLength), hunk.position);
+        const end = hunk.position + hunk.deleted.length;
+        hunk.suffix = before.slice(end, end + contextLength);
+      }
+  
+      return { version: 1, hunks };
+    }
+  
+    /**
+     * Apply a patch from createPatch. Each hunk is first tried at its recorded
+     * position; with `fuzzy` it is then searched for near that position using
+     * its context, trimmed step by step. Hunks that cannot be placed are skipped
+     * and reported as conflicts instead of being applied in the wrong place.
+     * @param {string} before - Text to patch
+     * @param {Object} patch - Patch from createPatch or invertPatch
+     * @param {Object} [options]
+     * @param {boolean} [options.fuzzy=true] - Search for hunks whose base has drifted
+     * @param {number} [options.maxDrift] - Furthest distance searched from the expected position
+     * @returns {{text: string, applied: boolean[], conflicts: Object[]}} Patched text,
+     *   per-hunk success and { index, hunk, expectedPosition, reason } for each conflict
+     */
+    applyPatch(before, patch, { fuzzy = true, maxDrift = PATCH_MAX_DRIFT } = {}) {
+      if (!patch || patch.version !== 1 || !Array.isArray(patch.hunks)) {
+        throw new Error('Unsupported patch format');
+      }
+  
+      let text = before;
+      let delta = 0;
+      const applied = [];
+      const conflicts = [];
+  
+      patch.hunks.forEach((hunk, index) => {
+        const expectedPosition = hunk.position + delta;
+        const position = this.locateHunk(text, hunk, expectedPosition, fuzzy ? maxDrift : 0);
+  
+        if (position === -1) {
+          applied.push(false);
+          conflicts.push({ index, hunk, expectedPosition, reason: 'Hunk context not found' });
+          return;
+        }
+  
+        text = text.slice(0, position) + hunk.inserted + text.slice(position + hunk.deleted.length);
+        delta = position - hunk.position + hunk.inserted.length - hunk.deleted.length;
+        applied.push(true);
+      });
+  
+      return { text, applied, conflicts };
+    }
+  
+    /**
+     * Invert a patch so that applying it to `after` gives back `before`
+     * @param {Object} patch - Patch from createPatch
+     * @returns {Object} Inverted patch
+     */
+    invertPatch(patch) {
+      let delta = 0;
+      const hunks = patch.hunks.map(hunk => {
+        const inverted = {
+          position: hunk.position + delta,
+          deleted: hunk.inserted,
+          inserted: hunk.deleted,
+          prefix: hunk.prefix,
+          suffix: hunk.suffix
+        };
+        delta += hunk.inserted.length - hunk.deleted.length;
+        return inverted;
+      });
+  
+      return { version: patch.version, hunks };
+    }
+  
+    /**
+     * Find where a hunk applies in `text`
+     * @param {string} text - Text being patched
+     * @param {Object} hunk - Patch hunk
+     * @param {number} expectedPosition - Position the hunk should be at
+     * @param {number} maxDrift - Furthest distance searched, 0 for exact placement only
+     * @returns {number} Position of the hunk's deleted text, or -1
+     */
+    locateHunk(text, hunk, expectedPosition, maxDrift) {
+      const { prefix, deleted, suffix } = hunk;
+      const start = expectedPosition - prefix.length;
+      if (start >= 0 && text.startsWith(prefix + deleted + suffix, start)) return expectedPosition;
+      if (!maxDrift) return -1;
+  
+      // Trim the context step by step, then fall back to the deleted text alone
+      for (let length = Math.max(prefix.length, suffix.length); length >= PATCH_MIN_CONTEXT; length = Math.floor(length / 2)) {
+        const before = prefix.slice(-length);
+        const position = this.findNearest(text, before + deleted + suffix.slice(0, length),
+          expectedPosition - before.length, maxDrift);
+        if (position !== -1) return position + before.length;
+      }
+  
+      return deleted ? this.findNearest(text, deleted, expectedPosition, maxDrift) : -1;
+    }
+  
+    /**
+     * Find the occurrence of `search` closest to `position`
+     * @param {string} text 
+     * @param {string} search 
+     * @param {number} position 
+     * @param {number} maxDrift - Furthest distance allowed from `position`
+     * @returns {number} Index of the nearest occurrence, or -1
+     */
+    findNearest(text, search, position, maxDrift) {
+      let best = -1;
+      let index = text.indexOf(search, Math.max(0, position - maxDrift));
+  
+      while (index !== -1 && index <= position + maxDrift) {
+        if (best === -1 || Math.abs(index - position) < Math.abs(best - position)) best = index;
+        if (index > position) break;
+        index = text.indexOf(search, index + 1);
+      }
+  
+      return best;
+    }
+  
+    /**
+     * Three-way merge: applies the changes base→ours and base→theirs together.
+     * Changes that touch the same stretch of `base` are taken once when both
+     * sides agree and reported as conflicts otherwise. Conflict regions are
+     * widened until every version of them has balanced tags, so the merged
+     * HTML stays well-formed.
+     * @param {string} base - Common ancestor
+     * @param {string} ours - Our revision
+     * @param {string} theirs - Their revision
+     * @param {Object} [options]
+     * @param {Function} [options.renderConflict] - ({ index, base, ours, theirs, parent }) => string
+     *   HTML for a conflict; defaults to a .conflict element holding both alternatives
+     * @returns {{html: string, clean: boolean, conflicts: Object[]}} Merge result; each conflict
+     *   has its base/ours/theirs text, { start, end } character positions in each version and
+     *   the `parent` element it is merged into (lower-case name, null at the top level)
+     */
+    merge3(base, ours, theirs, { renderConflict = this.renderConflict.bind(this) } = {}) {
+      // Like createPatch, a merge has to keep every edit, so nothing may be ignored or moved
+      const differ = new HTMLDiff({ ...this.options, ...EXACT_COMPARISON, detectMoves: false });
+      const baseTokens = differ.htmlToTokens(base);
+      const sides = [ours, theirs].map((html, side) => {
+        const tokens = differ.htmlToTokens(html);
+        const changes = differ.calculateOperations(baseTokens, tokens)
+          .filter(op => op.action !== 'equal')
+          .map(op => ({
+            side,
+            start: op.startInBefore,
+            end: op.action === 'insert' ? op.startInBefore : op.endInBefore + 1,
+            tokens: op.action === 'delete' ? [] : tokens.slice(op.startInAfter, op.endInAfter + 1)
+          }));
+        return { tokens, changes, offsets: this.tokenOffsets(tokens) };
+      });
+      const baseOffsets = this.tokenOffsets(baseTokens);
+  
+      const changes = [...sides[0].changes, ...sides[1].changes]
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+  
+      // Apply one side's changes to a base range
+      const sideTokens = (group, side, start, end) => {
+        const result = [];
+        let position = start;
+        for (const change of group.filter(change => change.side === side)) {
+          for (; position < change.start; position++) result.push(baseTokens[position]);
+          for (const token of change.tokens) result.push(token);
+          position = Math.max(position, change.end);
+        }
+        for (; position < end; position++) result.push(baseTokens[position]);
+        return result;
+      };
+  
+      const merged = [];
+      const conflicts = [];
+      // Elements open at the end of the merged output, brought up to date at each conflict
+      const open = [];
+      let scanned = 0;
+      const sideIndex = [0, 0];
+      let position = 0;
+      let next = 0;
+  
+      while (next < changes.length) {
+        let start = changes[next].start;
+        let end = changes[next].end;
+        let group = [];
+  
+        // Grow the region over touching changes and, for conflicts, until tags balance
+        for (;;) {
+          while (next < changes.length && changes[next].start <= end) {
+            end = Math.max(end, changes[next].end);
+            group.push(changes[next++]);
+          }
+  
+          const versions = [baseTokens.slice(start, end), sideTokens(group, 0, start, end), sideTokens(group, 1, start, end)];
+          const conflicting = group.some(change => change.side === 0) &&
+            group.some(change => change.side === 1) &&
+            versions[1].join('') !== versions[2].join('');
+          if (!conflicting) break;
+  
+          const balance = versions.map(tokens => this.tagBalance(tokens));
+          const growLeft = start > position && balance.some(({ unopened }) => unopened > 0);
+          const growRight = end < baseTokens.length && balance.some(({ unclosed }) => unclosed > 0);
+          if (!growLeft && !growRight) break;
+          if (growLeft) start--;
+          if (growRight) end++;
+        }
+  
+        for (; position < start; position++) merged.push(baseTokens[position]);
+        const sideStart = [0, 1].map(side => sideIndex[side] + start);
+        for (const change of group) sideIndex[change.side] += change.tokens.length - (change.end - change.start);
+        const sideEnd = [0, 1].map(side => sideIndex[side] + end);
+  
+        const oursTokens = sideTokens(group, 0, start, end);
+        const theirsTokens = sideTokens(group, 1, start, end);
+        const hasOurs = group.some(change => change.side === 0);
+        const hasTheirs = group.some(change => change.side === 1);
+  
+        if (!hasOurs || !hasTheirs || oursTokens.join('') === theirsTokens.join('')) {
+          for (const token of hasOurs ? oursTokens : theirsTokens) merged.push(token);
+        } else {
+          this.openElements(merged.slice(scanned), open);
+          const conflict = {
+            index: conflicts.length,
+            base: baseTokens.slice(start, end).join(''),
+            ours: oursTokens.join(''),
+            theirs: theirsTokens.join(''),
+            basePosition: { start: baseOffsets[start], end: baseOffsets[end] },
+            oursPosition: { start: sides[0].offsets[sideStart[0]], end: sides[0].offsets[sideEnd[0]] },
+            theirsPosition: { start: sides[1].offsets[sideStart[1]], end: sides[1].offsets[sideEnd[1]] },
+            parent: open.length ? open[open.length - 1] : null
+          };
+          conflicts.push(conflict);
+          merged.push(renderConflict(conflict));
+          scanned = merged.length;
+        }
+  
+        position = end;
+      }
+      for (; position < baseTokens.length; position++) merged.push(baseTokens[position]);
+  
+      return { html: merged.join(''), clean: conflicts.length === 0, conflicts };
+    }
+  
+    /**
+     * Default conflict markup: both alternatives inside a .conflict element
+     * that fits where the conflict is. In a list that is an <li> holding two
+     * lists of the alternative items, among table rows a <tr> holding two
+     * tables, and among table cells a <td> holding a table with a row for each
+     * alternative. Elsewhere it is a <div> when the alternatives contain
+     * block-level elements and a <span> otherwise.
+     * @param {Object} conflict - Conflict from merge3
+     * @returns {string} HTML
+     */
+    renderConflict({ index, ours, theirs, parent }) {
+      const attributes = `class="conflict" data-conflict="${index}"`;
+  
+      if (parent === 'ul' || parent === 'ol') {
+        return `<li ${attributes}>` +
+          `<${parent} class="conflict-ours">${ours}</${parent}>` +
+          `<${parent} class="conflict-theirs">${theirs}</${parent}>` +
+          '</li>';
+      }
+      if (['table', 'thead', 'tbody', 'tfoot'].includes(parent)) {
+        return `<tr ${attributes}>` +
+          `<td class="conflict-ours"><table>${ours}</table></td>` +
+          `<td class="conflict-theirs"><table>${theirs}</table></td>` +
+          '</tr>';
+      }
+      if (parent === 'tr') {
+        return `<td ${attributes}><table>` +
+          `<tr class="conflict-ours">${ours}</tr>` +
+          `<tr class="conflict-theirs">${theirs}</tr>` +
+          '</table></td>';
+      }
+  
+      const hasBlock = this.htmlToTokens(ours + theirs).some(token => {
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        return tag && BLOCK_ELEMENTS.has(tag.name);
+      });
+      const tag = hasBlock ? 'div' : 'span';
+  
+      return `<${tag} ${attributes}>` +
+        `<${tag} class="conflict-ours">${ours}</${tag}>` +
+        `<${tag} class="conflict-theirs">${theirs}</${tag}>` +
+        `</${tag}>`;
+    }
+  
+    /**
+     * Track the elements a token run opens and closes, closing implied end
+     * tags the way parseTree does
+     * @param {string[]} tokens 
+     * @param {string[]} [stack] - Names of the elements already open, outermost first; updated in place
+     * @returns {string[]} Names of the elements open after the tokens
+     */
+    openElements(tokens, stack = []) {
+      for (const token of tokens) {
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        if (!tag) continue;
+  
+        if (tag.closing) {
+          const index = stack.lastIndexOf(tag.name);
+          if (index >= 0) stack.length = index;
+        } else {
+          const implied = IMPLIED_END_TAGS[stack[stack.length - 1]];
+          if (implied && implied.includes(tag.name)) stack.pop();
+          if (!tag.selfClosing && !VOID_ELEMENTS.has(tag.name)) stack.push(tag.name);
+        }
+      }
+      return stack;
+    }
+  
+    /**
+     * Count unbalanced tags in a token run
+     * @param {string[]} tokens 
+     * @returns {{unclosed: number, unopened: number}} Start tags without an end tag
+     *   and end tags without a start tag
+     */
+    tagBalance(tokens) {
+      const stack = [];
+      let unopened = 0;
+  
+      for (const token of tokens) {
+        const tag = this.isTag(token) && this.parseTag(token.trim());
+        if (!tag || tag.selfClosing || VOID_ELEMENTS.has(tag.name)) continue;
+  
+        if (!tag.closing) {
+          stack.push(tag.name);
+        } else if (stack.includes(tag.name)) {
+          stack.length = stack.lastIndexOf(tag.name);
+        } else {
+          unopened++;
+        }
+      }
+  
+      return { unclosed: stack.length, unopened };
+    }
+  
+    /**
+     * Character offset of each token boundary
+     * @param {string[]} tokens 
+     * @returns {number[]} Offsets; entry i is where token i starts, the last entry is the total length
+     */
+    tokenOffsets(tokens) {
+      const offsets = [0];
+      for (const token of tokens) offsets.push(offsets[offsets.length - 1] + token.length);
+      return offsets;
+    }
+  
+    /**
+     * Blame-like view of a revision history: the last revision with every
+     * token attributed to the revision that introduced it. Attribution is
+     * carried forward through the diff of each revision against the previous one.
+     * @param {Object[]} revisions - { html, author, timestamp }, oldest first
+     * @param {Object} [historyOptions]
+     * @param {boolean} [historyOptions.showDeleted=false] - Also show removed text, at the
+     *   place it was removed from, with the revision that removed it
+     * @returns {{html: string, segments: Object[]}} HTML with <span data-rev data-author>
+     *   around each attributed run (and <del data-removed-rev data-removed-by> around
+     *   removed ones), and the runs themselves as { text, rev, author, timestamp,
+     *   removed } plus { removedRev, removedBy, removedAt } for removed runs
+     */
+    diffHistory(revisions, { showDeleted = false } = {}) {
+      if (!Array.isArray(revisions) || !revisions.length) {
+        throw new Error('diffHistory needs at least one revision');
+      }
+  
+      let tokens = this.htmlToTokens(revisions[0].html);
+      let origins = tokens.map(() => 0);
+      // Removed runs, anchored before the current token they were removed in front of
+      let removals = [];
+  
+      for (let rev = 1; rev < revisions.length; rev++) {
+        const nextTokens = this.htmlToTokens(revisions[rev].html);
+        const nextOrigins = nextTokens.map(() => rev);
+        const anchors = [];
+        const removed = [];
+  
+        for (const op of this.calculateOperations(tokens, nextTokens)) {
+          const span = this.toSpan(op);
+          for (let i = span.startInBefore; i < span.endInBefore; i++) {
+            anchors[i] = span.equal
+              ? Math.min(span.startInAfter + i - span.startInBefore, span.endInAfter)
+              : span.startInAfter;
+          }
+  
+          if (span.equal) {
+            // Both sides only differ in length when comparison options are set
+            for (let j = span.startInAfter; j < span.endInAfter; j++) {
+              nextOrigins[j] = origins[Math.min(span.startInBefore + j - span.startInAfter, span.endInBefore - 1)];
+            }
+          } else if (showDeleted && span.endInBefore > span.startInBefore) {
+            removed.push({
+              anchor: span.startInAfter,
+              tokens: tokens.slice(span.startInBefore, span.endInBefore),
+              origins: origins.slice(span.startInBefore, span.endInBefore),
+              removedRev: rev
+            });
+          }
+        }
+        anchors[tokens.length] = nextTokens.length;
+  
+        removals = removals
+          .map(removal => ({ ...removal, anchor: anchors[removal.anchor] }))
+          .concat(removed)
+          .sort((a, b) => a.anchor - b.anchor);
+        tokens = nextTokens;
+        origins = nextOrigins;
+      }
+  
+      const runs = [];
+      const addToken = (token, rev, removedRev) => {
+        const last = runs[runs.length - 1];
+        if (last && last.rev === rev && last.removedRev === removedRev) {
+          last.tokens.push(token);
+        } else {
+          runs.push({ tokens: [token], rev, removedRev });
+        }
+      };
+  
+      let next = 0;
+      for (let i = 0; i <= tokens.length; i++) {
+        for (; next < removals.length && removals[next].anchor === i; next++) {
+          const removal = removals[next];
+          removal.tokens.forEach((token, k) => addToken(token, removal.origins[k], removal.removedRev));
+        }
+        if (i < tokens.length) addToken(tokens[i], origins[i], undefined);
+      }
+  
+      const attributes = pairs => pairs
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => ` ${name}="${this.escapeHTML(String(value))}"`)
+        .join('');
+  
+      const html = runs.map(({ tokens: runTokens, rev, removedRev }) => {
+        const author = revisions[rev].author;
+        if (removedRev === undefined) {
+          return this.wrapWithTag('span', this.displayTokens(runTokens),
+            `<span${attributes([['data-rev', rev], ['data-author', author]])}>`);
+        }
+        return this.wrapWithTag('del', this.displayTokens(runTokens), `<del${attributes([
+          ['data-rev', rev], ['data-author', author],
+          ['data-removed-rev', removedRev], ['data-removed-by', revisions[removedRev].author]
+        ])}>`);
+      }).join('');
+  
+      const segments = runs.map(({ tokens: runTokens, rev, removedRev }) => {
+        const segment = {
+          text: runTokens.join(''),
+          rev,
+          author: revisions[rev].author,
+          timestamp: revisions[rev].timestamp,
+          removed: removedRev !== undefined
+        };
+        if (segment.removed) {
+          segment.removedRev = removedRev;
+          segment.removedBy = revisions[removedRev].author;
+          segment.removedAt = revisions[removedRev].timestamp;
+        }
+        return segment;
+      });
+  
+      return { html, segments };
+    }
+  
+    /**
+     * Structure-aware diff: parses both inputs into element trees, matches
+     * nodes by tag/id/similarity and diffs text inside matched nodes
+     * @param {string} before - Original HTML string
+     * @param {string} after - New HTML string
+     * @param {Object} [context] - Render context from createRenderContext
+     * @returns {string} Well-formed HTML with diff markup
+     */
+    diffTree(before, after, context = this.createRenderContext()) {
+      const beforeTree = this.parseTree(before);
+      const afterTree = this.parseTree(after);
+      return this.diffNodes(beforeTree.children, afterTree.children, context);
+    }
+  
+    /**
+     * Parse HTML into a lightweight element tree.
+     * Unclosed elements are closed at the end of their parent, stray end tags are dropped.
+     * @param {string} html - HTML string to parse
+     * @returns {Object} Root node with `children`
+     */
+    parseTree(html) {
+      const root = { type: 'root', children: [] };
+      const stack = [root];
+      const current = () => stack[stack.length - 1];
+  
+      for (const segment of this.splitTags(html)) {
+        if (!segment.isTag) {
+          current().children.push({ type: 'text', text: segment.text });
+          continue;
+        }
+  
+        const tag = this.parseTag(segment.text);
+        if (!tag) {
+          // Comments, doctypes and unterminated tags are kept verbatim
+          current().children.push({ type: 'raw', text: segment.text });
+        } else if (tag.closing) {
+          const index = stack.map(node => node.tag).lastIndexOf(tag.name);
+          if (index > 0) stack.length = index;
+        } else {
+          const implied = IMPLIED_END_TAGS[current().tag];
+          if (implied && implied.includes(tag.name)) stack.pop();
+  
+          const element = {
+            type: 'element',
+            tag: tag.name,
+            attributes: tag.attributes,
+            openTag: segment.text,
+            children: []
+          };
+          current().children.push(element);
+          if (!tag.selfClosing && !VOID_ELEMENTS.has(tag.name)) stack.push(element);
+        }
+      }
+  
+      return root;
+    }
+  
+    /**
+     * Parse a single tag token
+     * @param {string} token - Tag token such as '<a href="x">' or '</a>'
+     * @returns {Object|null} { name, closing, selfClosing, attributes } or null if not an element tag
+     */
+    parseTag(token) {
+      const match = /^<\s*(\/)?\s*([a-zA-Z][\w:-]*)([^>]*?)(\/)?\s*>$/.exec(token);
+      if (!match) return null;
+  
+      const attributes = {};
+      const attributePattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[3]))) {
+        const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+        attributes[attribute[1].toLowerCase()] = value;
+      }
+  
+      return {
+        name: match[2].toLowerCase(),
+        closing: Boolean(match[1]),
+        selfClosing: Boolean(match[4]),
+        attributes
+      };
+    }
+  
+    /**
+     * Diff two lists of sibling nodes
+     * @param {Object[]} beforeNodes 
+     * @param {Object[]} afterNodes 
+     * @param {Object} context - Render context
+     * @returns {string} HTML with diff markup
+     */
+    diffNodes(beforeNodes, afterNodes, context) {
+      const matches = this.findMatchingBlocks(
+        beforeNodes.map(node => this.nodeKey(node)),
+        afterNodes.map(node => this.nodeKey(node))
+      );
+      matches.push(new Match(beforeNodes.length, afterNodes.length, 0));
+  
+      let html = '';
+      let positionInBefore = 0;
+      let positionInAfter = 0;
+  
+      for (const match of matches) {
+        html += this.diffUnmatchedNodes(
+          beforeNodes.slice(positionInBefore, match.startInBefore),
+          afterNodes.slice(positionInAfter, match.startInAfter),
+          context
+        );
+  
+        for (let i = 0; i < match.length; i++) {
+          const beforeNode = beforeNodes[match.startInBefore + i];
+          const afterNode = afterNodes[match.startInAfter + i];
+          html += afterNode.type === 'element'
+            ? this.diffElements(beforeNode, afterNode, context)
+            : afterNode.text;
+        }
+  
+        positionInBefore = match.endInBefore + 1;
+        positionInAfter = match.endInAfter + 1;
+      }
+  
+      return html;
+    }
+  
+    /**
+     * Diff two elements that were matched to each other
+     * @param {Object} beforeNode 
+     * @param {Object} afterNode 
+     * @param {Object} context - Render context
+     * @returns {string} HTML with diff markup
+     */
+    diffElements(beforeNode, afterNode, context) {
+      const attributesChanged = !this.sameAttributes(beforeNode.attributes, afterNode.attributes);
+      const modifyClass = context.options.classNames.modify;
+      const openTag = attributesChanged && modifyClass
+        ? this.addClass(afterNode.openTag, modifyClass)
+        : afterNode.openTag;
+  
+      if (VOID_ELEMENTS.has(afterNode.tag)) return openTag;
+      return openTag + this.diffNodes(beforeNode.children, afterNode.children, context) + `</${afterNode.tag}>`;
+    }
+  
+    /**
+     * Diff a run of before nodes against a run of after nodes that the sequence
+     * matcher could not align. Formatting-only changes are marked as modified,
+     * similar elements are paired and diffed, anything left is deleted or inserted.
+     * @param {Object[]} beforeNodes 
+     * @param {Object[]} afterNodes 
+     * @param {Object} context - Render context
+     * @returns {string} HTML with diff markup
+     */
+    diffUnmatchedNodes(beforeNodes, afterNodes, context) {
+      if (!beforeNodes.length && !afterNodes.length) return '';
+  
+      const beforeText = beforeNodes.map(node => this.textContent(node)).join('');
+      const afterText = afterNodes.map(node => this.textContent(node)).join('');
+      if (beforeText === afterText && beforeText.trim()) {
+        return this.markFormattingChange(afterNodes, context);
+      }
+  
+      let html = '';
+      let positionInAfter = 0;
+  
+      for (const beforeNode of beforeNodes) {
+        const pairIndex = afterNodes.findIndex((afterNode, index) =>
+          index >= positionInAfter && this.canPairNodes(beforeNode, afterNode));
+  
+        if (pairIndex === -1) {
+          html += this.markNode(beforeNode, 'delete', context);
+          continue;
+        }
+  
+        for (const afterNode of afterNodes.slice(positionInAfter, pairIndex)) {
+          html += this.markNode(afterNode, 'insert', context);
+        }
+  
+        const afterNode = afterNodes[pairIndex];
+        html += afterNode.type === 'element'
+          ? this.diffElements(beforeNode, afterNode, context)
+          : this.diffText(beforeNode.text, afterNode.text, context);
+        positionInAfter = pairIndex + 1;
+      }
+  
+      for (const afterNode of afterNodes.slice(positionInAfter)) {
+        html += this.markNode(afterNode, 'insert', context);
+      }
+  
+      return html;
+    }
+  
+    /**
+     * Whether two unaligned nodes are similar enough to be diffed against each other
+     * @param {Object} beforeNode 
+     * @param {Object} afterNode 
+     * @returns {boolean}
+     */
+    canPairNodes(beforeNode, afterNode) {
+      if (beforeNode.type !== afterNode.type) return false;
+      if (beforeNode.type === 'text') return Boolean(beforeNode.text.trim() && afterNode.text.trim());
+      if (beforeNode.type !== 'element' || beforeNode.tag !== afterNode.tag) return false;
+  
+      return this.tokenSimilarity(this.textTokens(beforeNode), this.textTokens(afterNode)) >=
+        this.options.similarityThreshold;
+    }
+  
+    /**
+     * Diff the text of two paired text nodes
+     * @param {string} before 
+     * @param {string} after 
+     * @param {Object} context - Render context
+     * @returns {string} HTML with diff markup
+     */
+    diffText(before, after, context) {
+      const beforeTokens = this.htmlToTokens(before);
+      const afterTokens = this.htmlToTokens(after);
+      const operations = this.calculateOperations(beforeTokens, afterTokens);
+      return this.renderOperations(beforeTokens, afterTokens, operations, context);
+    }
+  
+    /**
+     * Render nodes whose text is unchanged but whose markup changed (e.g. <b> added)
+     * @param {Object[]} afterNodes 
+     * @param {Object} context - Render context
+     * @returns {string} HTML with formatting changes marked by the modify class or wrapper
+     */
+    markFormattingChange(afterNodes, context) {
+      const { tags, classNames } = context.options;
+  
+      if (!afterNodes.some(node => node.type === 'element')) {
+        const className = classNames.modify ? ` class="${classNames.modify}"` : '';
+        return `<${tags.modify}${className}>${afterNodes.map(node => node.text).join('')}</${tags.modify}>`;
+      }
+  
+      return afterNodes.map(node => node.type === 'element'
+        ? (classNames.modify ? this.addClass(node.openTag, classNames.modify) : node.openTag) +
+          this.serializeChildren(node)
+        : node.text).join('');
+    }
+  
+    /**
+     * Render a whole node as deleted or inserted. Elements keep their tags
+     * (marked with a diff-del/diff-ins class) and only their text is wrapped,
+     * so the markup stays valid inside lists and tables.
+     * @param {Object} node 
+     * @param {string} type - 'insert' or 'delete'
+     * @param {Object} context - Render context
+     * @returns {string} HTML with diff markup
+     */
+    markNode(node, type, context) {
+      switch (node.type) {
+        case 'text':
+          if (!node.text.trim()) return type === 'insert' ? node.text : '';
+          return this.renderChange(type, [node.text], context.changeIndex++, context);
+  
+        case 'element':
+          const openTag = this.addClass(node.openTag, type === 'insert' ? 'diff-ins' : 'diff-del');
+          if (VOID_ELEMENTS.has(node.tag)) return openTag;
+          return openTag + node.children.map(child => this.markNode(child, type, context)).join('') +
+            `</${node.tag}>`;
+  
+        default:
+          return type === 'insert' ? node.text : '';
+      }
+    }
+  
+    /**
+     * Serialize the children and end tag of an element
+     * @param {Object} node 
+     * @returns {string} HTML
+     */
+    serializeChildren(node) {
+      if (VOID_ELEMENTS.has(node.tag)) return '';
+      return node.children.map(child => child.type === 'element'
+        ? child.openTag + this.serializeChildren(child)
+        : child.text).join('') + `</${node.tag}>`;
+    }
+  
+    /**
+     * Key used to align sibling nodes: elements by tag and id, or by tag and
+     * text when they have no id; other nodes by content.
+     * Elements that differ in text are paired later by similarity.
+     * @param {Object} node 
+     * @returns {string} Key
+     */
+    nodeKey(node) {
+      if (node.type !== 'element') return `${node.type}:${node.text}`;
+      if (node.attributes.id) return `<${node.tag}#${node.attributes.id}>`;
+      return `<${node.tag}>${this.textContent(node)}`;
+    }
+  
+    /**
+     * Text content of a node
+     * @param {Object} node 
+     * @returns {string} Text
+     */
+    textContent(node) {
+      if (node.type === 'text') return node.text;
+      if (node.type !== 'element') return '';
+      return node.children.map(child => this.textContent(child)).join('');
+    }
+  
+    /**
+     * Tokens of the text of a node. Each text node is tokenized on its own, so
+     * the text of neighbouring elements (list items, cells) does not run together.
+     * @param {Object} node 
+     * @returns {string[]} Tokens
+     */
+    textTokens(node) {
+      if (node.type === 'text') return this.htmlToTokens(node.text);
+      if (node.type !== 'element') return [];
+      return node.children.flatMap(child => this.textTokens(child));
+    }
+  
+    /**
+     * Compare two attribute maps, ignoring order
+     * @param {Object} a 
+     * @param {Object} b 
+     * @returns {boolean}
+     */
+    sameAttributes(a, b) {
+      const keys = Object.keys(a);
+      return keys.length === Object.keys(b).length && keys.every(key => b[key] === a[key]);
+    }
+  
+    /**
+     * Add a class to an opening tag
+     * @param {string} openTag - e.g. '<p class="intro">'
+     * @param {string} className 
+     * @returns {string} Opening tag with the class added
+     */
+    addClass(openTag, className) {
+      const classPattern = /(\sclass\s*=\s*)(["'])(.*?)\2/i;
+      if (classPattern.test(openTag)) {
+        return openTag.replace(classPattern, (all, prefix, quote, value) =>
+          `${prefix}${quote}${value ? `${value} ` : ''}${className}${quote}`);
+      }
+      return openTag.replace(/\s*(\/?)>$/, ` class="${className}"$1>`);
+    }
+  
+    /**
+     * Tokenizes HTML string into meaningful chunks.
+     * Tags are always single tokens, and so are whole media elements (<video>
+     * with its <source>s, <svg>, <iframe>, ...); text between tags is split
+     * according to the configured granularity, or by the custom `tokenize` hook.
+     * @param {string} html - HTML string to tokenize
+     * @returns {string[]} Array of tokens
+     */
+    htmlToTokens(html) {
+      const tokens = [];
+      for (const piece of this.tokenPieces(html)) {
+        for (const token of piece) tokens.push(token);
+      }
+      return tokens;
+    }
+  
+    /**
+     * The tokens of htmlToTokens a piece at a time (a tag, a run of text or a
+     * line), so that diffAsync can yield to the event loop between pieces
+     * @param {string} html - HTML string to tokenize
+     * @returns {Iterable<string[]>} Token arrays, in order
+     */
+    *tokenPieces(html) {
+      if (typeof this.options.tokenize === 'function') {
+        const custom = this.options.tokenize(html, this.options);
+        // Positions are derived from token lengths, so tokens must cover the input exactly
+        if (!Array.isArray(custom) || custom.join('') !== html) {
+          throw new Error('tokenize must return an array of tokens that join back into the input');
+        }
+        yield custom;
+        return;
+      }
+      if (this.options.format === 'text') {
+        for (const piece of this.textPieces(html)) yield this.segmentPlainText(piece);
+        return;
+      }
+      if (this.options.format === 'markdown') {
+        yield* this.markdownTokens(html);
+        return;
+      }
+  
+      let media = null;
+      for (const segment of this.splitTags(html)) {
+        const tag = segment.isTag && this.parseTag(segment.text);
+  
+        if (media) {
+          media.text += segment.text;
+          if (tag && tag.name === media.name && !tag.selfClosing) media.depth += tag.closing ? -1 : 1;
+          if (media.depth === 0) {
+            yield [media.text];
+            media = null;
+          }
+          continue;
+        }
+  
+        if (tag && !tag.closing && !tag.selfClosing && MEDIA_ELEMENTS.has(tag.name)) {
+          media = { name: tag.name, depth: 1, text: segment.text };
+        } else if (segment.isTag) {
+          yield [segment.text];
+        } else {
+          for (const piece of this.textPieces(segment.text)) yield this.segmentText(piece);
+        }
+      }
+      // An unclosed media element runs to the end of the input
+      if (media) yield [media.text];
+    }
+  
+    /**
+     * Cut long text into pieces that tokenize the same separately as together:
+     * pieces end where no token of the granularity can continue, after a line
+     * break followed by text, or for words and characters after any whitespace
+     * followed by text
+     * @param {string} text 
+     * @returns {Iterable<string>} Pieces of about SEGMENT_CHUNK_LENGTH characters or more
+     */
+    *textPieces(text) {
+      const cut = this.options.granularity === 'char' || this.options.granularity === 'word'
+        ? /(?<=\s)(?=[^\s\p{M}\u200d])/gu
+        : /(?<=\n)(?=\S)/g;
+      let start = 0;
+      while (text.length - start > SEGMENT_CHUNK_LENGTH) {
+        cut.lastIndex = start + SEGMENT_CHUNK_LENGTH;
+        const match = cut.exec(text);
+        if (!match) break;
+        yield text.slice(start, match.index);
+        start = match.index;
+      }
+      yield text.slice(start);
+    }
+  
+    /**
+     * Tokenize Markdown: block markers at the start of each line, links,
+     * images and code spans are single tokens, line breaks are tokens of their
+     * own and the remaining text is split according to the configured granularity
+     * @param {string} markdown 
+     * @returns {Iterable<string[]>} The tokens of each line
+     */
+    *markdownTokens(markdown) {
+      for (const line of markdown.split(/(?<=\n)/)) {
+        const tokens = [];
+        const marker = MARKDOWN_LINE_MARKER.exec(line);
+        const lineBreak = /\r?\n$/.exec(line);
+        const body = line.slice(marker ? marker[0].length : 0, lineBreak ? lineBreak.index : line.length);
+        if (marker) tokens.push(marker[0]);
+  
+        let position = 0;
+        for (const match of body.matchAll(MARKDOWN_INLINE_PATTERN)) {
+          if (match.index > position) tokens.push(...this.segmentPlainText(body.slice(position, match.index)));
+          tokens.push(match[0]);
+          position = match.index + match[0].length;
+        }
+        if (position < body.length) tokens.push(...this.segmentPlainText(body.slice(position)));
+        if (lineBreak) tokens.push(lineBreak[0]);
+        yield tokens;
+      }
+    }
+  
+    /**
+     * Split HTML into alternating runs of text and complete tags
+     * @param {string} html - HTML string to split
+     * @returns {{text: string, isTag: boolean}[]} Text and tag segments
+     */
+    splitTags(html) {
+      const segments = [];
+      let current = '';
+      let inTag = false;
+  
+      for (const char of html) {
+        if (inTag) {
+          current += char;
+          if (this.isEndOfTag(char)) {
+            segments.push({ text: current, isTag: true });
+            current = '';
+            inTag = false;
+          }
+        } else if (this.isStartOfTag(char)) {
+          if (current) segments.push({ text: current, isTag: false });
+          current = char;
+          inTag = true;
+        } else {
+          current += char;
+        }
+      }
+  
+      // An unterminated tag at the end is kept as a single token
+      if (current) segments.push({ text: current, isTag: inTag });
+      return segments;
+    }
+  
+    /**
+     * Split a run of text (no tags) into tokens of the configured granularity
+     * @param {string} text - Text to split
+     * @returns {string[]} Array of tokens
+     */
+    segmentText(text) {
+      const granularity = this.options.granularity;
+      if ((granularity === 'char' || granularity === 'word') && text.includes('&')) {
+        // Character references are kept whole so they can be compared and wrapped safely
+        const tokens = [];
+        let position = 0;
+        for (const match of text.matchAll(ENTITY_PATTERN)) {
+          if (match.index > position) tokens.push(...this.segmentPlainText(text.slice(position, match.index)));
+          tokens.push(match[0]);
+          position = match.index + match[0].length;
+        }
+        if (position < text.length) tokens.push(...this.segmentPlainText(text.slice(position)));
+        return tokens;
+      }
+  
+      return this.segmentPlainText(text);
+    }
+  
+    /**
+     * Split text without character references into tokens of the configured granularity
+     * @param {string} text - Text to split
+     * @returns {string[]} Array of tokens
+     */
+    segmentPlainText(text) {
+      switch (this.options.granularity) {
+        case 'char':
+          return this.segment(text, 'grapheme') || Array.from(text);
+  
+        case 'sentence':
+          return this.segment(text, 'sentence') ||
+            text.match(/[^.!?]+(?:[.!?]+\s*|$)|[.!?]+\s*/g) || [];
+  
+        case 'line':
+          return this.splitLines(text);
+  
+        default:
+          return this.wordTokens(text);
+      }
+    }
+  
+    /**
+     * Split text into words, whitespace runs and punctuation.
+     * Uses Intl.Segmenter for Unicode-aware (including CJK) word boundaries
+     * and keeps hyphenated terms, #tags and @mentions together.
+     * @param {string} text - Text to split
+     * @returns {string[]} Array of tokens
+     */
+    wordTokens(text) {
+      const segments = this.segment(text, 'word', true) ||
+        (text.match(/[\p{L}\p{M}\p{N}_]+|\s+|[^]/gu) || []).map(segment => ({
+          segment,
+          isWordLike: /[\p{L}\p{M}\p{N}_]/u.test(segment)
+        }));
+  
+      const tokens = [];
+      let lastIsWord = false;
+      let joinNext = false;
+  
+      for (let i = 0; i < segments.length; i++) {
+        const { segment, isWordLike } = segments[i];
+        const next = segments[i + 1];
+        const last = tokens.length - 1;
+  
+        if (isWordLike && (joinNext || (last >= 0 && /^[#@]$/.test(tokens[last])))) {
+          tokens[last] += segment;
+        } else if (/^[-\u2010\u2011]$/.test(segment) && lastIsWord && next && next.isWordLike) {
+          // Keep hyphenated terms such as "well-known" in a single token
+          tokens[last] += segment;
+          joinNext = true;
+          continue;
+        } else if (/^\s+$/.test(segment) && last >= 0 && /^\s+$/.test(tokens[last])) {
+          tokens[last] += segment;
+        } else {
+          tokens.push(segment);
+        }
+        joinNext = false;
+        lastIsWord = isWordLike;
+      }
+  
+      return tokens;
+    }
+  
+    /**
+     * Split text into lines, each keeping its trailing newline
+     * @param {string} text - Text to split
+     * @returns {string[]} Array of lines
+     */
+    splitLines(text) {
+      return text.match(/[^\n]*\n|[^\n]+/g) || [];
+    }
+  
+    /**
+     * Segment text with a cached Intl.Segmenter, a chunk at a time
+     * @param {string} text - Text to segment
+     * @param {string} granularity - 'grapheme' | 'word' | 'sentence'
+     * @param {boolean} [withWordInfo] - Return segment objects instead of strings
+     * @returns {Array|null} Segments, or null when Intl.Segmenter is unavailable
+     */
+    segment(text, granularity, withWordInfo = false) {
+      if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+  
+      if (!this.segmenters[granularity]) {
+        this.segmenters[granularity] = new Intl.Segmenter(this.options.locale, { granularity });
+      }
+  
+      const segments = [];
+      let start = 0;
+      let length = SEGMENT_CHUNK_LENGTH;
+      while (start < text.length) {
+        const end = Math.min(text.length, start + length);
+        const pieces = Array.from(this.segmenters[granularity].segment(text.slice(start, end)));
+        // Whether a boundary is a break can depend on the character after it, so the last two
+        // segments of a chunk are segmented again with the next one
+        const kept = end < text.length ? pieces.length - 2 : pieces.length;
+        if (kept <= 0) {
+          length *= 2;
+          continue;
+        }
+  
+        for (const { segment, isWordLike } of pieces.slice(0, kept)) {
+          segments.push(withWordInfo ? { segment, isWordLike: Boolean(isWordLike) } : segment);
+        }
+        start += kept < pieces.length ? pieces[kept].index : end - start;
+        length = SEGMENT_CHUNK_LENGTH;
+      }
+      return segments;
+    }
+  
+    /**
+     * Calculate diff operations between token arrays
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Object[]} Array of operations
+     */
+    calculateOperations(beforeTokens, afterTokens) {
+      if (!beforeTokens) throw new Error('beforeTokens is required');
+      if (!afterTokens) throw new Error('afterTokens is required');
+  
+      let positionInBefore = 0;
+      let positionInAfter = 0;
+      const operations = [];
+      
+      const actionMap = {
+        'false,false': 'replace',
+        'true,false': 'insert',
+        'false,true': 'delete',
+        'true,true': 'none'
+      };
+  
+      const matches = this.findMatchingBlocks(this.comparisonKeys(beforeTokens), this.comparisonKeys(afterTokens));
+      matches.push(new Match(beforeTokens.length, afterTokens.length, 0));
+  
+      for (const match of matches) {
+        const matchStartsAtCurrentPositionInBefore = positionInBefore === match.startInBefore;
+        const matchStartsAtCurrentPositionInAfter = positionInAfter === match.startInAfter;
+        
+        const action = actionMap[`${matchStartsAtCurrentPositionInBefore},${matchStartsAtCurrentPositionInAfter}`];
+  
+        if (action !== 'none') {
+          operations.push({
+            action,
+            startInBefore: positionInBefore,
+            endInBefore: action !== 'insert' ? match.startInBefore - 1 : undefined,
+            startInAfter: positionInAfter,
+            endInAfter: action !== 'delete' ? match.startInAfter - 1 : undefined
+          });
+        }
+  
+        if (match.length !== 0) {
+          operations.push({
+            action: 'equal',
+            startInBefore: match.startInBefore,
+            endInBefore: match.endInBefore,
+            startInAfter: match.startInAfter,
+            endInAfter: match.endInAfter
+          });
+        }
+  
+        positionInBefore = match.endInBefore + 1;
+        positionInAfter = match.endInAfter + 1;
+      }
+  
+      const processed = this.postProcessOperations(operations, beforeTokens);
+      const cleaned = this.cleanupOperations(processed, beforeTokens, afterTokens);
+      const ignored = this.ignoreOperations(cleaned, beforeTokens, afterTokens);
+      return this.alignStructure(ignored, beforeTokens, afterTokens);
+    }
+  
+    /**
+     * Post-process operations to merge adjacent operations
+     * @param {Object[]} operations 
+     * @param {string[]} beforeTokens 
+     * @returns {Object[]} Processed operations
+     */
+    postProcessOperations(operations, beforeTokens) {
+      const processed = [];
+      let lastOp = { action: 'none' };
+  
+      const isSingleWhitespace = (op) => {
+        if (op.action !== 'equal') return false;
+        if (op.endInBefore - op.startInBefore !== 0) return false;
+        const token = beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join('');
+        return /^\s$/.test(token);
+      };
+  
+      for (const op of operations) {
+        if ((isSingleWhitespace(op) && lastOp.action === 'replace') ||
+            (op.action === 'replace' && lastOp.action === 'replace')) {
+          lastOp.endInBefore = op.endInBefore;
+          lastOp.endInAfter = op.endInAfter;
+        } else {
+          processed.push(op);
+          lastOp = op;
+        }
+      }
+  
+      return processed;
+    }
+  
+    /**
+     * Pair deleted blocks with inserted blocks of the same or similar content
+     * and turn them into 'move-from' (at the source) and 'move-to' (at the
+     * destination) operations. Both carry the source range in before and the
+     * destination range in after, and share a `moveId`. A replacement that
+     * gives up one of its halves to a move keeps the other as a plain insert or delete.
+     * @param {Object[]} operations - Operations from calculateOperations
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Object[]} Operations with moves
+     */
+    detectMoves(operations, beforeTokens, afterTokens) {
+      const { moveThreshold, minMoveLength } = this.options;
+      const block = (index, tokens) => {
+        const text = tokens.filter(token => !this.isTag(token));
+        if (text.join('').trim().length < minMoveLength) return null;
+        return { index, words: this.comparisonKeys(text).filter(key => key.trim()) };
+      };
+  
+      // Slide insertions and deletions to natural boundaries first, so a moved
+      // paragraph is cut at its tags on both sides rather than mid-sentence
+      operations = this.mergeSpans(this.shiftBoundaries(operations.map(op => this.toSpan(op)), beforeTokens, afterTokens))
+        .map(span => this.fromSpan(span));
+  
+      const sources = [];
+      const destinations = [];
+      operations.forEach((op, index) => {
+        if (op.action === 'delete' || op.action === 'replace') {
+          const source = block(index, beforeTokens.slice(op.startInBefore, op.endInBefore + 1));
+          if (source) sources.push(source);
+        }
+        if (op.action === 'insert' || op.action === 'replace') {
+          const destination = block(index, afterTokens.slice(op.startInAfter, op.endInAfter + 1));
+          if (destination) destinations.push(destination);
+        }
+      });
+  
+      const movesFrom = new Map();
+      const movesTo = new Map();
+      for (const source of sources) {
+        let best = null;
+        let bestSimilarity = moveThreshold;
+  
+        for (const destination of destinations) {
+          if (movesTo.has(destination.index) || destination.index === source.index) continue;
+          // Cheap upper bound before counting shared words
+          const n = source.words.length;
+          const m = destination.words.length;
+          if (2 * Math.min(n, m) / (n + m) < bestSimilarity) continue;
+  
+          const similarity = this.wordSimilarity(source.words, destination.words);
+          if (similarity >= bestSimilarity) {
+            best = destination;
+            bestSimilarity = similarity;
+          }
+        }
+  
+        if (best) {
+          const move = { moveId: `move-${movesFrom.size + 1}`, from: operations[source.index], to: operations[best.index] };
+          movesFrom.set(source.index, move);
+          movesTo.set(best.index, move);
+        }
+      }
+      if (!movesFrom.size) return operations;
+  
+      const moveOperation = (action, { moveId, from, to }) => ({
+        action,
+        moveId,
+        startInBefore: from.startInBefore,
+        endInBefore: from.endInBefore,
+        startInAfter: to.startInAfter,
+        endInAfter: to.endInAfter
+      });
+  
+      const result = [];
+      operations.forEach((op, index) => {
+        const moveFrom = movesFrom.get(index);
+        const moveTo = movesTo.get(index);
+        if (!moveFrom && !moveTo) {
+          result.push(op);
+          return;
+        }
+  
+        if (moveFrom) {
+          result.push(moveOperation('move-from', moveFrom));
+        } else if (op.action === 'replace') {
+          result.push({ ...op, action: 'delete', endInAfter: undefined });
+        }
+  
+        if (moveTo) {
+          result.push(moveOperation('move-to', moveTo));
+        } else if (op.action === 'replace') {
+          result.push({ ...op, action: 'insert', startInBefore: op.endInBefore + 1, endInBefore: undefined });
+        }
+      });
+  
+      return result;
+    }
+  
+    /**
+     * Order-insensitive similarity of two word lists: twice the shared words
+     * over the total. The diff may cut a moved block at different points on
+     * each side, so the words are compared as a multiset rather than a sequence.
+     * @param {string[]} beforeWords 
+     * @param {string[]} afterWords 
+     * @returns {number} Ratio from 0 to 1
+     */
+    wordSimilarity(beforeWords, afterWords) {
+      if (!beforeWords.length && !afterWords.length) return 1;
+      const counts = new Map();
+      for (const word of beforeWords) counts.set(word, (counts.get(word) || 0) + 1);
+  
+      let shared = 0;
+      for (const word of afterWords) {
+        const count = counts.get(word);
+        if (count) {
+          shared++;
+          counts.set(word, count - 1);
+        }
+      }
+      return 2 * shared / (beforeWords.length + afterWords.length);
+    }
+  
+    /**
+     * Similarity of two token runs: twice the matched tokens over the total
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {number} Ratio from 0 to 1
+     */
+    tokenSimilarity(beforeTokens, afterTokens) {
+      if (!beforeTokens.length && !afterTokens.length) return 1;
+      const matched = this.findMatchingBlocks(this.comparisonKeys(beforeTokens), this.comparisonKeys(afterTokens))
+        .reduce((sum, match) => sum + match.length, 0);
+      return 2 * matched / (beforeTokens.length + afterTokens.length);
+    }
+  
+    /**
+     * Diff the two sides of a replacement character by character, when the
+     * `refine` option is set and they are similar enough
+     * @param {string[]} beforeTokens - Replaced tokens
+     * @param {string[]} afterTokens - Replacing tokens
+     * @param {string} [format] - Format of the tokens; rendering passes 'html'
+     *   since displayed tokens are always HTML
+     * @returns {Object|null} { beforeTokens, afterTokens, operations, refiner } at character
+     *   granularity, with the differ that made them, or null when the replacement
+     *   is not refined (markup on either side, or too little in common)
+     */
+    refineReplacement(beforeTokens, afterTokens, format = this.options.format) {
+      if (!this.options.refine) return null;
+      if (format === 'html' && [...beforeTokens, ...afterTokens].some(token => this.isTag(token))) return null;
+  
+      if (!this.refiners[format]) {
+        this.refiners[format] = new HTMLDiff({
+          ...this.options,
+          format,
+          granularity: 'char',
+          tokenize: null,
+          refine: false,
+          detectMoves: false
+        });
+      }
+      const refiner = this.refiners[format];
+  
+      const beforeChars = refiner.htmlToTokens(beforeTokens.join(''));
+      const afterChars = refiner.htmlToTokens(afterTokens.join(''));
+      if (refiner.tokenSimilarity(beforeChars, afterChars) < this.options.refineThreshold) return null;
+  
+      return {
+        beforeTokens: beforeChars,
+        afterTokens: afterChars,
+        operations: refiner.calculateOperations(beforeChars, afterChars),
+        refiner
+      };
+    }
+  
+    /**
+     * Whether any of the comparison (ignore/normalize) options is set
+     * @returns {boolean}
+     */
+    hasComparisonOptions() {
+      return Object.keys(EXACT_COMPARISON).some(key => this.options[key]);
+    }
+  
+    /**
+     * Map tokens to the keys they are compared by
+     * @param {string[]} tokens 
+     * @returns {string[]} Comparison keys (the tokens themselves when no comparison option is set)
+     */
+    comparisonKeys(tokens) {
+      if (!this.hasComparisonOptions()) return tokens;
+      return tokens.map(token => this.comparisonKey(token));
+    }
+  
+    /**
+     * Normalise a token according to the comparison options
+     * @param {string} token 
+     * @returns {string} Comparison key
+     */
+    comparisonKey(token) {
+      const { ignoreWhitespace, ignoreCase, ignorePunctuation, normalizeEntities, locale } = this.options;
+  
+      if (this.isTag(token)) {
+        const tag = this.parseTag(token.trim());
+        if (!tag) return token;
+        if (tag.closing) return `</${tag.name}>`;
+  
+        const attributes = Object.keys(tag.attributes)
+          .filter(name => !this.isIgnoredAttribute(name))
+          .sort()
+          .map(name => {
+            let value = tag.attributes[name];
+            if (ignoreWhitespace) value = value.trim().replace(/\s+/g, ' ');
+            return ` ${name}="${value}"`;
+          });
+        return `<${tag.name}${attributes.join('')}>`;
+      }
+  
+      let key = token;
+      if (normalizeEntities) key = this.decodeEntities(key);
+      if (ignoreWhitespace) key = key.replace(/\s+/g, ' ').trim();
+      if (ignoreCase) key = key.toLocaleLowerCase(locale);
+      if (ignorePunctuation) key = key.replace(/\p{P}/gu, '');
+      return key;
+    }
+  
+    /**
+     * Whether an attribute is left out of tag comparison by `ignoreAttributes`
+     * @param {string} name - Lower-case attribute name
+     * @returns {boolean}
+     */
+    isIgnoredAttribute(name) {
+      const { ignoreAttributes } = this.options;
+      if (!ignoreAttributes) return false;
+      if (ignoreAttributes === true) return true;
+      if (Array.isArray(ignoreAttributes)) return ignoreAttributes.includes(name);
+      if (Array.isArray(ignoreAttributes.allow)) return !ignoreAttributes.allow.includes(name);
+      return false;
+    }
+  
+    /**
+     * Replace character references with the characters they stand for
+     * @param {string} text 
+     * @returns {string} Decoded text
+     */
+    decodeEntities(text) {
+      return text.replace(ENTITY_PATTERN, entity => {
+        if (entity[1] !== '#') return NAMED_ENTITIES[entity.slice(1, -1)] ?? entity;
+        const code = entity[2] === 'x' || entity[2] === 'X'
+          ? parseInt(entity.slice(3, -1), 16)
+          : parseInt(entity.slice(2, -1), 10);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      });
+    }
+  
+    /**
+     * Report changes made only of ignored tokens (whitespace, punctuation or
+     * tags, depending on the options) as equal. Such equal operations can cover
+     * a different number of tokens in before and after.
+     * @param {Object[]} operations 
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Object[]} Operations
+     */
+    ignoreOperations(operations, beforeTokens, afterTokens) {
+      const { ignoreWhitespace, ignorePunctuation, ignoreTags } = this.options;
+      if (!ignoreWhitespace && !ignorePunctuation && !ignoreTags) return operations;
+  
+      const isIgnored = token => {
+        if (this.isTag(token)) return ignoreTags;
+        const key = this.comparisonKey(token);
+        return (ignoreWhitespace && /^\s*$/.test(key)) || (ignorePunctuation && key === '');
+      };
+  
+      const spans = operations.map(op => {
+        const span = this.toSpan(op);
+        if (!span.equal &&
+            beforeTokens.slice(span.startInBefore, span.endInBefore).every(isIgnored) &&
+            afterTokens.slice(span.startInAfter, span.endInAfter).every(isIgnored)) {
+          span.equal = true;
+        }
+        return span;
+      });
+  
+      return this.mergeSpans(spans).map(span => this.fromSpan(span));
+    }
+  
+    /**
+     * Semantic cleanup stage, configured by the `cleanup` and `editCost` options.
+     * Works on half-open spans and converts back, so createDiffObjects still
+     * derives correct positions from the resulting operations.
+     * @param {Object[]} operations 
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Object[]} Cleaned-up operations
+     */
+    cleanupOperations(operations, beforeTokens, afterTokens) {
+      const { cleanup, editCost } = this.options;
+      if (cleanup === 'none' || operations.length < 2) return operations;
+  
+      const beforeOffsets = this.tokenOffsets(beforeTokens);
+      const afterOffsets = this.tokenOffsets(afterTokens);
+      const beforeChars = span => beforeOffsets[span.endInBefore] - beforeOffsets[span.startInBefore];
+      const afterChars = span => afterOffsets[span.endInAfter] - afterOffsets[span.startInAfter];
+  
+      const shouldAbsorb = cleanup === 'semantic'
+        // The equality is no longer than the edits on either side of it
+        ? (length, previous, next) =>
+          length <= Math.max(beforeChars(previous), afterChars(previous)) &&
+          length <= Math.max(beforeChars(next), afterChars(next))
+        // Showing the equality costs more than rewriting it (diff-match-patch cleanupEfficiency)
+        : (length, previous, next) => {
+          const sides = [previous, next].reduce((count, span) =>
+            count + (beforeChars(span) > 0) + (afterChars(span) > 0), 0);
+          return length < editCost && (sides === 4 || (sides === 3 && length < editCost / 2));
+        };
+  
+      let spans = this.absorbEqualities(operations.map(op => this.toSpan(op)), beforeTokens, beforeChars, shouldAbsorb);
+      if (cleanup === 'semantic') spans = this.shiftBoundaries(spans, beforeTokens, afterTokens);
+  
+      return this.mergeSpans(spans).map(span => this.fromSpan(span));
+    }
+  
+    /**
+     * Turn short equalities between two edits into part of one larger edit.
+     * Equalities holding tags are kept, since both halves of a replacement
+     * would otherwise render those tags.
+     * @param {Object[]} spans - Spans from toSpan
+     * @param {string[]} beforeTokens 
+     * @param {Function} length - span => character length of its before side
+     * @param {Function} shouldAbsorb - (length, previousSpan, nextSpan) => boolean
+     * @returns {Object[]} Spans
+     */
+    absorbEqualities(spans, beforeTokens, length, shouldAbsorb) {
+      spans = this.mergeSpans(spans);
+  
+      for (let i = 1; i < spans.length - 1; i++) {
+        const [previous, equality, next] = spans.slice(i - 1, i + 2);
+        if (!equality.equal || previous.equal || next.equal) continue;
+        if (beforeTokens.slice(equality.startInBefore, equality.endInBefore).some(token => this.isTag(token))) continue;
+        if (!shouldAbsorb(length(equality), previous, next)) continue;
+  
+        spans.splice(i - 1, 3, {
+          equal: false,
+          startInBefore: previous.startInBefore,
+          endInBefore: next.endInBefore,
+          startInAfter: previous.startInAfter,
+          endInAfter: next.endInAfter
+        });
+        // The larger edit may now swallow the equality before it
+        i = Math.max(0, i - 2);
+      }
+  
+      return spans;
+    }
+  
+    /**
+     * Slide pure insertions and deletions along the text they repeat so that
+     * their boundaries fall on the best-scoring word, sentence or tag edges
+     * (diff-match-patch cleanupSemanticLossless, on tokens)
+     * @param {Object[]} spans - Spans from toSpan
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Object[]} Spans
+     */
+    shiftBoundaries(spans, beforeTokens, afterTokens) {
+      const sameLength = span => span.endInBefore - span.startInBefore === span.endInAfter - span.startInAfter;
+      spans = this.mergeSpans(spans);
+  
+      for (let i = 1; i < spans.length - 1; i++) {
+        const [previous, edit, next] = spans.slice(i - 1, i + 2);
+        if (!previous.equal || edit.equal || !next.equal) continue;
+        // Equalities made of ignored tokens are not token-for-token, so nothing can slide through them
+        if (!sameLength(previous) || !sameLength(next)) continue;
+  
+        const isInsert = edit.startInBefore === edit.endInBefore;
+        const isDelete = edit.startInAfter === edit.endInAfter;
+        if (!isInsert && !isDelete) continue;
+  
+        const tokens = isInsert ? afterTokens : beforeTokens;
+        const start = isInsert ? edit.startInAfter : edit.startInBefore;
+        const end = isInsert ? edit.endInAfter : edit.endInBefore;
+        const min = start - (previous.endInBefore - previous.startInBefore);
+        const max = end + (next.endInBefore - next.startInBefore);
+  
+        let shift = 0;
+        while (start + shift > min && tokens[start + shift - 1] === tokens[end + shift - 1]) shift--;
+  
+        let bestShift = shift;
+        let bestScore = -1;
+        for (; ; shift++) {
+          const score = this.boundaryScore(tokens[start + shift - 1], tokens[start + shift]) +
+            this.boundaryScore(tokens[end + shift - 1], tokens[end + shift]);
+          if (score >= bestScore) {
+            bestScore = score;
+            bestShift = shift;
+          }
+          if (end + shift >= max || tokens[start + shift] !== tokens[end + shift]) break;
+        }
+  
+        if (bestShift === 0) continue;
+        previous.endInBefore += bestShift;
+        previous.endInAfter += bestShift;
+        for (const key of ['startInBefore', 'endInBefore', 'startInAfter', 'endInAfter']) edit[key] += bestShift;
+        next.startInBefore += bestShift;
+        next.startInAfter += bestShift;
+      }
+  
+      return spans;
+    }
+  
+    /**
+     * Slide insertions and deletions that cut through list items or table
+     * rows so that they cover whole elements, e.g. '</li><li>new' becomes
+     * '<li>new</li>'. Edits are only moved within repeated content, so the
+     * operations describe the same change.
+     * @param {Object[]} operations 
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Object[]} Operations
+     */
+    alignStructure(operations, beforeTokens, afterTokens) {
+      if (operations.length < 3) return operations;
+  
+      const isWholeElements = (tokens, start, end) => {
+        const tag = this.isTag(tokens[start]) && this.parseTag(tokens[start].trim());
+        if (!tag || tag.closing || !STRUCTURAL_ELEMENTS.has(tag.name)) return false;
+        const { unclosed, unopened } = this.tagBalance(tokens.slice(start, end));
+        return !unclosed && !unopened;
+      };
+      const sameLength = span => span.endInBefore - span.startInBefore === span.endInAfter - span.startInAfter;
+  
+      const spans = this.mergeSpans(operations.map(op => this.toSpan(op)));
+      let changed = false;
+  
+      for (let i = 1; i < spans.length - 1; i++) {
+        const [previous, edit, next] = spans.slice(i - 1, i + 2);
+        if (!previous.equal || edit.equal || !next.equal) continue;
+        // Equalities made of ignored tokens are not token-for-token, so nothing can slide through them
+        if (!sameLength(previous) || !sameLength(next)) continue;
+  
+        const isInsert = edit.startInBefore === edit.endInBefore;
+        const isDelete = edit.startInAfter === edit.endInAfter;
+        if (!isInsert && !isDelete) continue;
+  
+        const tokens = isInsert ? afterTokens : beforeTokens;
+        const start = isInsert ? edit.startInAfter : edit.startInBefore;
+        const end = isInsert ? edit.endInAfter : edit.endInBefore;
+        if (isWholeElements(tokens, start, end)) continue;
+  
+        const min = start - (previous.endInBefore - previous.startInBefore);
+        const max = end + (next.endInBefore - next.startInBefore);
+        let shift = 0;
+        while (start + shift > min && tokens[start + shift - 1] === tokens[end + shift - 1]) shift--;
+  
+        let bestShift = null;
+        for (; ; shift++) {
+          if (isWholeElements(tokens, start + shift, end + shift) &&
+              (bestShift === null || Math.abs(shift) < Math.abs(bestShift))) {
+            bestShift = shift;
+          }
+          if (end + shift >= max || tokens[start + shift] !== tokens[end + shift]) break;
+        }
+  
+        if (!bestShift) continue;
+        changed = true;
+        previous.endInBefore += bestShift;
+        previous.endInAfter += bestShift;
+        for (const key of ['startInBefore', 'endInBefore', 'startInAfter', 'endInAfter']) edit[key] += bestShift;
+        next.startInBefore += bestShift;
+        next.startInAfter += bestShift;
+      }
+  
+      return changed ? this.mergeSpans(spans).map(span => this.fromSpan(span)) : operations;
+    }
+  
+    /**
+     * Score the boundary between two tokens: higher means a more natural place
+     * for a change to start or end
+     * @param {string} [left] - Token before the boundary
+     * @param {string} [right] - Token after the boundary
+     * @returns {number} Score from 0 to 6
+     */
+    boundaryScore(left, right) {
+      if (left === undefined || right === undefined) return 6;
+      if (/\n\s*\n/.test(left + right)) return 5;
+      if (this.isTag(left) || this.isTag(right) || /\n/.test(left + right)) return 4;
+      if (/[.!?]$/.test(left) && /^\s/.test(right)) return 3;
+      if (/\s$/.test(left) || /^\s/.test(right)) return 2;
+      if (/[^\p{L}\p{M}\p{N}_]$/u.test(left) || /^[^\p{L}\p{M}\p{N}_]/u.test(right)) return 1;
+      return 0;
+    }
+  
+    /**
+     * Convert an operation to a half-open span
+     * @param {Object} op - Operation from calculateOperations
+     * @returns {Object} { equal, startInBefore, endInBefore, startInAfter, endInAfter } with exclusive ends
+     */
+    toSpan(op) {
+      return {
+        equal: op.action === 'equal',
+        startInBefore: op.startInBefore,
+        endInBefore: op.action === 'insert' ? op.startInBefore : op.endInBefore + 1,
+        startInAfter: op.startInAfter,
+        endInAfter: op.action === 'delete' ? op.startInAfter : op.endInAfter + 1
+      };
+    }
+  
+    /**
+     * Convert a half-open span back to an operation
+     * @param {Object} span 
+     * @returns {Object} Operation
+     */
+    fromSpan(span) {
+      const hasBefore = span.endInBefore > span.startInBefore;
+      const hasAfter = span.endInAfter > span.startInAfter;
+      const action = span.equal ? 'equal' : hasBefore && hasAfter ? 'replace' : hasBefore ? 'delete' : 'insert';
+  
+      return {
+        action,
+        startInBefore: span.startInBefore,
+        endInBefore: action !== 'insert' ? span.endInBefore - 1 : undefined,
+        startInAfter: span.startInAfter,
+        endInAfter: action !== 'delete' ? span.endInAfter - 1 : undefined
+      };
+    }
+  
+    /**
+     * Drop empty spans and join neighbouring spans of the same kind
+     * @param {Object[]} spans 
+     * @returns {Object[]} Spans
+     */
+    mergeSpans(spans) {
+      const merged = [];
+      for (const span of spans) {
+        if (span.endInBefore === span.startInBefore && span.endInAfter === span.startInAfter) continue;
+  
+        const last = merged[merged.length - 1];
+        if (last && last.equal === span.equal) {
+          last.endInBefore = span.endInBefore;
+          last.endInAfter = span.endInAfter;
+        } else {
+          merged.push({ ...span });
+        }
+      }
+      return merged;
+    }
+  
+    /**
+     * Find matching blocks between two token arrays using the configured algorithm
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Match[]} Array of matches, ordered by position
+     */
+    findMatchingBlocks(beforeTokens, afterTokens) {
+      if (this.options.algorithm === 'lcs') {
+        const matchingBlocks = [];
+        const index = this.createIndex(beforeTokens, afterTokens);
+        
+        return this.recursivelyFindMatchingBlocks(
+          beforeTokens, afterTokens, index, 
+          0, beforeTokens.length, 0, afterTokens.length, matchingBlocks
+        );
+      }
+  
+      const [before, after] = this.internTokens(beforeTokens, afterTokens);
+      const split = {
+        myers: this.myersSplit,
+        patience: this.patienceSplit,
+        histogram: this.histogramSplit
+      }[this.options.algorithm];
+  
+      return this.findMatchingBlocksIteratively(before, after, split.bind(this));
+    }
+  
+    /**
+     * Map tokens to integer ids so the engines compare numbers instead of strings
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @returns {Int32Array[]} [beforeIds, afterIds]
+     */
+    internTokens(beforeTokens, afterTokens) {
+      const ids = new Map();
+      const intern = tokens => {
+        const result = new Int32Array(tokens.length);
+        for (let i = 0; i < tokens.length; i++) {
+          let id = ids.get(tokens[i]);
+          if (id === undefined) {
+            id = ids.size;
+            ids.set(tokens[i], id);
+          }
+          result[i] = id;
+        }
+        return result;
+      };
   
-      const beforeTokens = this.htmlToTokens(before);
-      const afterTokens = this.htmlToTokens(after);
-      const operations = this.calculateOperations(beforeTokens, afterTokens);
-      
-      return this.renderOperations(beforeTokens, afterTokens, operations);
+      return [intern(beforeTokens), intern(afterTokens)];
     }
   
     /**
-     * Tokenizes HTML string into meaningful chunks
-     * @param {string} html - HTML string to tokenize
-     * @returns {string[]} Array of tokens
+     * Drive a divide-and-conquer engine with an explicit work stack instead of recursion.
+     * Each range is trimmed of its common prefix and suffix (which become matches)
+     * before `split` divides what is left.
+     * @param {Int32Array} a - Before token ids
+     * @param {Int32Array} b - After token ids
+     * @param {Function} split - (a, b, aLo, aHi, bLo, bHi) => { matches, ranges }
+     * @returns {Match[]} Ordered, merged matches
      */
-    htmlToTokens(html) {
-      const tokens = [];
-      let currentToken = '';
-      let mode = 'char'; // 'char', 'tag', 'whitespace'
+    findMatchingBlocksIteratively(a, b, split) {
+      const matches = [];
+      const stack = [[0, a.length, 0, b.length]];
   
-      for (const char of html) {
-        switch (mode) {
-          case 'tag':
-            currentToken += char;
-            if (this.isEndOfTag(char)) {
-              tokens.push(currentToken);
-              currentToken = '';
-              mode = this.isWhitespace(char) ? 'whitespace' : 'char';
-            }
-            break;
+      while (stack.length) {
+        let [aLo, aHi, bLo, bHi] = stack.pop();
   
-          case 'char':
-            if (this.isStartOfTag(char)) {
-              if (currentToken) tokens.push(currentToken);
-              currentToken = char;
-              mode = 'tag';
-            } else if (this.isWhitespace(char)) {
-              if (currentToken) tokens.push(currentToken);
-              currentToken = char;
-              mode = 'whitespace';
-            } else if (/[\w#@]/i.test(char)) {
-              currentToken += char;
-            } else {
-              if (currentToken) tokens.push(currentToken);
-              currentToken = char;
-            }
-            break;
+        let prefix = 0;
+        while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) prefix++;
+        if (prefix) matches.push(new Match(aLo, bLo, prefix));
+        aLo += prefix;
+        bLo += prefix;
   
-          case 'whitespace':
-            if (this.isStartOfTag(char)) {
-              if (currentToken) tokens.push(currentToken);
-              currentToken = char;
-              mode = 'tag';
-            } else if (this.isWhitespace(char)) {
-              currentToken += char;
-            } else {
-              if (currentToken) tokens.push(currentToken);
-              currentToken = char;
-              mode = 'char';
-            }
-            break;
+        let suffix = 0;
+        while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) suffix++;
+        if (suffix) matches.push(new Match(aHi - suffix, bHi - suffix, suffix));
+        aHi -= suffix;
+        bHi -= suffix;
+  
+        if (aLo === aHi || bLo === bHi) continue;
+  
+        const result = split(a, b, aLo, aHi, bLo, bHi);
+        for (const match of result.matches) matches.push(match);
+        for (const range of result.ranges) stack.push(range);
+      }
+  
+      matches.sort((x, y) => x.startInBefore - y.startInBefore);
+  
+      // Join matches that continue each other in both sequences
+      const merged = [];
+      for (const match of matches) {
+        const last = merged[merged.length - 1];
+        if (last && last.endInBefore + 1 === match.startInBefore && last.endInAfter + 1 === match.startInAfter) {
+          merged[merged.length - 1] = new Match(last.startInBefore, last.startInAfter, last.length + match.length);
+        } else {
+          merged.push(match);
         }
       }
   
-      if (currentToken) tokens.push(currentToken);
-      return tokens;
+      return merged;
     }
   
     /**
-     * Calculate diff operations between token arrays
-     * @param {string[]} beforeTokens 
-     * @param {string[]} afterTokens 
-     * @returns {Object[]} Array of operations
+     * Myers O(ND) split: find the middle snake of the shortest edit script
+     * (linear space bisection, as in diff-match-patch) and divide the range there
+     * @returns {{matches: Match[], ranges: number[][]}} Sub-ranges to process
      */
-    calculateOperations(beforeTokens, afterTokens) {
-      if (!beforeTokens) throw new Error('beforeTokens is required');
-      if (!afterTokens) throw new Error('afterTokens is required');
+    myersSplit(a, b, aLo, aHi, bLo, bHi) {
+      const n = aHi - aLo;
+      const m = bHi - bLo;
+      const maxD = Math.ceil((n + m) / 2);
+      const offset = maxD;
+      const size = 2 * maxD + 2;
+      const forward = new Int32Array(size).fill(-1);
+      const reverse = new Int32Array(size).fill(-1);
+      forward[offset + 1] = 0;
+      reverse[offset + 1] = 0;
   
-      let positionInBefore = 0;
-      let positionInAfter = 0;
-      const operations = [];
-      
-      const actionMap = {
-        'false,false': 'replace',
-        'true,false': 'insert',
-        'false,true': 'delete',
-        'true,true': 'none'
-      };
+      const delta = n - m;
+      // With an odd delta the paths overlap while extending forward, otherwise in reverse
+      const checkForward = delta % 2 !== 0;
+      let k1start = 0, k1end = 0, k2start = 0, k2end = 0;
   
-      const matches = this.findMatchingBlocks(beforeTokens, afterTokens);
-      matches.push(new Match(beforeTokens.length, afterTokens.length, 0));
+      const divide = (x, y) => ({
+        matches: [],
+        ranges: [[aLo + x, aHi, bLo + y, bHi], [aLo, aLo + x, bLo, bLo + y]]
+      });
   
-      for (const match of matches) {
-        const matchStartsAtCurrentPositionInBefore = positionInBefore === match.startInBefore;
-        const matchStartsAtCurrentPositionInAfter = positionInAfter === match.startInAfter;
-        
-        const action = actionMap[`${matchStartsAtCurrentPositionInBefore},${matchStartsAtCurrentPositionInAfter}`];
+      for (let d = 0; d < maxD; d++) {
+        for (let k1 = -d + k1start; k1 <= d - k1end; k1 += 2) {
+          const k1Offset = offset + k1;
+          let x1 = (k1 === -d || (k1 !== d && forward[k1Offset - 1] < forward[k1Offset + 1]))
+            ? forward[k1Offset + 1]
+            : forward[k1Offset - 1] + 1;
+          let y1 = x1 - k1;
+          while (x1 < n && y1 < m && a[aLo + x1] === b[bLo + y1]) {
+            x1++;
+            y1++;
+          }
+          forward[k1Offset] = x1;
   
-        if (action !== 'none') {
-          operations.push({
-            action,
-            startInBefore: positionInBefore,
-            endInBefore: action !== 'insert' ? match.startInBefore - 1 : undefined,
-            startInAfter: positionInAfter,
-            endInAfter: action !== 'delete' ? match.startInAfter - 1 : undefined
-          });
+          if (x1 > n) {
+            k1end += 2;
+          } else if (y1 > m) {
+            k1start += 2;
+          } else if (checkForward) {
+            const k2Offset = offset + delta - k1;
+            if (k2Offset >= 0 && k2Offset < size && reverse[k2Offset] !== -1 && x1 >= n - reverse[k2Offset]) {
+              return divide(x1, y1);
+            }
+          }
         }
   
-        if (match.length !== 0) {
-          operations.push({
-            action: 'equal',
-            startInBefore: match.startInBefore,
-            endInBefore: match.endInBefore,
-            startInAfter: match.startInAfter,
-            endInAfter: match.endInAfter
-          });
-        }
+        for (let k2 = -d + k2start; k2 <= d - k2end; k2 += 2) {
+          const k2Offset = offset + k2;
+          let x2 = (k2 === -d || (k2 !== d && reverse[k2Offset - 1] < reverse[k2Offset + 1]))
+            ? reverse[k2Offset + 1]
+            : reverse[k2Offset - 1] + 1;
+          let y2 = x2 - k2;
+          while (x2 < n && y2 < m && a[aHi - x2 - 1] === b[bHi - y2 - 1]) {
+            x2++;
+            y2++;
+          }
+          reverse[k2Offset] = x2;
   
-        positionInBefore = match.endInBefore + 1;
-        positionInAfter = match.endInAfter + 1;
+          if (x2 > n) {
+            k2end += 2;
+          } else if (y2 > m) {
+            k2start += 2;
+          } else if (!checkForward) {
+            const k1Offset = offset + delta - k2;
+            if (k1Offset >= 0 && k1Offset < size && forward[k1Offset] !== -1) {
+              const x1 = forward[k1Offset];
+              const y1 = offset + x1 - k1Offset;
+              if (x1 >= n - x2) return divide(x1, y1);
+            }
+          }
+        }
       }
   
-      return this.postProcessOperations(operations, beforeTokens);
+      // Nothing in common
+      return { matches: [], ranges: [] };
     }
   
     /**
-     * Post-process operations to merge adjacent operations
-     * @param {Object[]} operations 
-     * @param {string[]} beforeTokens 
-     * @returns {Object[]} Processed operations
+     * Patience split: anchor on tokens that occur exactly once in both ranges,
+     * keeping the longest run of anchors that appear in the same order
+     * @returns {{matches: Match[], ranges: number[][]}} Anchors and the gaps between them
      */
-    postProcessOperations(operations, beforeTokens) {
-      const processed = [];
-      let lastOp = { action: 'none' };
+    patienceSplit(a, b, aLo, aHi, bLo, bHi) {
+      const counts = new Map();
+      for (let i = aLo; i < aHi; i++) {
+        const entry = counts.get(a[i]);
+        if (entry) entry.inBefore++;
+        else counts.set(a[i], { inBefore: 1, inAfter: 0, positionInBefore: i, positionInAfter: -1 });
+      }
+      for (let j = bLo; j < bHi; j++) {
+        const entry = counts.get(b[j]);
+        if (entry) {
+          entry.inAfter++;
+          entry.positionInAfter = j;
+        }
+      }
   
-      const isSingleWhitespace = (op) => {
-        if (op.action !== 'equal') return false;
-        if (op.endInBefore - op.startInBefore !== 0) return false;
-        const token = beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join('');
-        return /^\s$/.test(token);
-      };
+      const unique = [];
+      for (const entry of counts.values()) {
+        if (entry.inBefore === 1 && entry.inAfter === 1) unique.push(entry);
+      }
+      if (!unique.length) return this.myersSplit(a, b, aLo, aHi, bLo, bHi);
+      unique.sort((x, y) => x.positionInBefore - y.positionInBefore);
   
-      for (const op of operations) {
-        if ((isSingleWhitespace(op) && lastOp.action === 'replace') ||
-            (op.action === 'replace' && lastOp.action === 'replace')) {
-          lastOp.endInBefore = op.endInBefore;
-          lastOp.endInAfter = op.endInAfter;
-        } else {
-          processed.push(op);
-          lastOp = op;
+      // Longest increasing subsequence of after-positions (patience sorting)
+      const tails = [];
+      const previous = new Array(unique.length);
+      for (let i = 0; i < unique.length; i++) {
+        const value = unique[i].positionInAfter;
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+          const mid = (low + high) >> 1;
+          if (unique[tails[mid]].positionInAfter < value) low = mid + 1;
+          else high = mid;
         }
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
       }
   
-      return processed;
+      const anchors = [];
+      for (let i = tails[tails.length - 1]; i !== -1; i = previous[i]) anchors.push(unique[i]);
+      anchors.reverse();
+  
+      const matches = [];
+      const ranges = [];
+      let a0 = aLo;
+      let b0 = bLo;
+      for (const anchor of anchors) {
+        matches.push(new Match(anchor.positionInBefore, anchor.positionInAfter, 1));
+        ranges.push([a0, anchor.positionInBefore, b0, anchor.positionInAfter]);
+        a0 = anchor.positionInBefore + 1;
+        b0 = anchor.positionInAfter + 1;
+      }
+      ranges.push([a0, aHi, b0, bHi]);
+  
+      return { matches, ranges };
     }
   
     /**
-     * Find matching blocks between two token arrays
-     * @param {string[]} beforeTokens 
-     * @param {string[]} afterTokens 
-     * @returns {Match[]} Array of matches
+     * Histogram split (as in git): take the longest common region built around
+     * the least frequent tokens of the before range and divide around it
+     * @returns {{matches: Match[], ranges: number[][]}} Region and the ranges either side
      */
-    findMatchingBlocks(beforeTokens, afterTokens) {
-      const matchingBlocks = [];
-      const index = this.createIndex(beforeTokens, afterTokens);
-      
-      return this.recursivelyFindMatchingBlocks(
-        beforeTokens, afterTokens, index, 
-        0, beforeTokens.length, 0, afterTokens.length, matchingBlocks
-      );
+    histogramSplit(a, b, aLo, aHi, bLo, bHi) {
+      const occurrences = new Map();
+      for (let i = aLo; i < aHi; i++) {
+        const list = occurrences.get(a[i]);
+        if (list) list.push(i);
+        else occurrences.set(a[i], [i]);
+      }
+  
+      let best = null;
+      let bestCount = HISTOGRAM_MAX_CHAIN + 1;
+  
+      for (let j = bLo; j < bHi;) {
+        let nextJ = j + 1;
+        const list = occurrences.get(b[j]);
+  
+        if (list && list.length <= bestCount) {
+          for (const i of list) {
+            let as = i, bs = j, ae = i + 1, be = j + 1;
+            let count = list.length;
+  
+            while (as > aLo && bs > bLo && a[as - 1] === b[bs - 1]) {
+              as--;
+              bs--;
+              count = Math.min(count, occurrences.get(a[as]).length);
+            }
+            while (ae < aHi && be < bHi && a[ae] === b[be]) {
+              count = Math.min(count, occurrences.get(a[ae]).length);
+              ae++;
+              be++;
+            }
+  
+            if (!best || count < bestCount || (count === bestCount && ae - as > best.length)) {
+              best = new Match(as, bs, ae - as);
+              bestCount = count;
+            }
+            nextJ = Math.max(nextJ, be);
+          }
+        }
+  
+        j = nextJ;
+      }
+  
+      if (!best) return this.myersSplit(a, b, aLo, aHi, bLo, bHi);
+  
+      return {
+        matches: [best],
+        ranges: [
+          [aLo, best.startInBefore, bLo, best.startInAfter],
+          [best.endInBefore + 1, aHi, best.endInAfter + 1, bHi]
+        ]
+      };
     }
   
     /**
@@ -317,15 +3609,16 @@ class HTMLDiff {
      * @returns {Object} Index mapping tokens to positions
      */
     createIndex(findThese, inThese) {
-      const index = {};
+      const positions = new Map();
+      inThese.forEach((token, idx) => {
+        const list = positions.get(token);
+        if (list) list.push(idx);
+        else positions.set(token, [idx]);
+      });
   
+      const index = {};
       for (const token of findThese) {
-        index[token] = [];
-        let idx = inThese.indexOf(token);
-        while (idx !== -1) {
-          index[token].push(idx);
-          idx = inThese.indexOf(token, idx + 1);
-        }
+        index[token] = positions.get(token) || [];
       }
   
       return index;
@@ -338,74 +3631,86 @@ class HTMLDiff {
      * @param {string[]} beforeTokens - Tokenized before text
      * @param {string[]} afterTokens - Tokenized after text
      * @param {Object[]} operations - Calculated operations
+     * @param {Object} [origins] - { before, after } positions ({ offset, line, column }) where
+     *   the texts start, when they are slices of the documents
      * @returns {Object[]} Array of diff objects
      */
-    createDiffObjects(before, after, beforeTokens, afterTokens, operations) {
+    createDiffObjects(before, after, beforeTokens, afterTokens, operations, origins = {}) {
+      const beforeTable = this.positionTable(beforeTokens, origins.before);
+      const afterTable = this.positionTable(afterTokens, origins.after);
+      const lengthOf = (table, start, end) => table.offsets[end] - table.offsets[start];
       const diffObjects = [];
   
       for (const op of operations) {
         switch (op.action) {
           case 'equal':
-            const equalText = beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join('');
-            const beforeStart = this.getTextPosition(beforeTokens, 0, op.startInBefore);
-            const afterStart = this.getTextPosition(afterTokens, 0, op.startInAfter);
+            // With comparison options the two sides can differ; the after text is reported
+            const equalText = afterTokens.slice(op.startInAfter, op.endInAfter + 1).join('');
             
             diffObjects.push({
               type: 'equal',
               text: equalText,
-              beforeStartPosition: beforeStart,
-              beforeEndPosition: beforeStart + equalText.length - 1,
-              afterStartPosition: afterStart,
-              afterEndPosition: afterStart + equalText.length - 1,
-              length: equalText.length
+              ...this.rangeFields('before', beforeTable, beforeTokens, op.startInBefore, op.endInBefore + 1),
+              ...this.rangeFields('after', afterTable, afterTokens, op.startInAfter, op.endInAfter + 1),
+              length: lengthOf(afterTable, op.startInAfter, op.endInAfter + 1)
             });
             break;
   
           case 'insert':
             const insertedText = afterTokens.slice(op.startInAfter, op.endInAfter + 1).join('');
-            const insertAfterStart = this.getTextPosition(afterTokens, 0, op.startInAfter);
             
             diffObjects.push({
               type: 'insert',
               text: insertedText,
-              afterStartPosition: insertAfterStart,
-              afterEndPosition: insertAfterStart + insertedText.length - 1,
-              length: insertedText.length,
-              beforePosition: this.getTextPosition(beforeTokens, 0, op.startInBefore || beforeTokens.length)
+              ...this.rangeFields('after', afterTable, afterTokens, op.startInAfter, op.endInAfter + 1),
+              length: lengthOf(afterTable, op.startInAfter, op.endInAfter + 1),
+              ...this.pointFields('before', beforeTable, op.startInBefore)
             });
             break;
   
           case 'delete':
             const deletedText = beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join('');
-            const deleteBeforeStart = this.getTextPosition(beforeTokens, 0, op.startInBefore);
             
             diffObjects.push({
               type: 'delete',
               text: deletedText,
-              beforeStartPosition: deleteBeforeStart,
-              beforeEndPosition: deleteBeforeStart + deletedText.length - 1,
-              length: deletedText.length,
-              afterPosition: this.getTextPosition(afterTokens, 0, op.startInAfter || afterTokens.length)
+              ...this.rangeFields('before', beforeTable, beforeTokens, op.startInBefore, op.endInBefore + 1),
+              length: lengthOf(beforeTable, op.startInBefore, op.endInBefore + 1),
+              ...this.pointFields('after', afterTable, op.startInAfter)
             });
             break;
   
           case 'replace':
             const deletedTextReplace = beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join('');
             const insertedTextReplace = afterTokens.slice(op.startInAfter, op.endInAfter + 1).join('');
-            const replaceBeforeStart = this.getTextPosition(beforeTokens, 0, op.startInBefore);
-            const replaceAfterStart = this.getTextPosition(afterTokens, 0, op.startInAfter);
             
             diffObjects.push({
               type: 'replace',
               oldText: deletedTextReplace,
               newText: insertedTextReplace,
-              beforeStartPosition: replaceBeforeStart,
-              beforeEndPosition: replaceBeforeStart + deletedTextReplace.length - 1,
-              afterStartPosition: replaceAfterStart,
-              afterEndPosition: replaceAfterStart + insertedTextReplace.length - 1,
-              oldLength: deletedTextReplace.length,
-              newLength: insertedTextReplace.length
+              ...this.rangeFields('before', beforeTable, beforeTokens, op.startInBefore, op.endInBefore + 1),
+              ...this.rangeFields('after', afterTable, afterTokens, op.startInAfter, op.endInAfter + 1),
+              oldLength: lengthOf(beforeTable, op.startInBefore, op.endInBefore + 1),
+              newLength: lengthOf(afterTable, op.startInAfter, op.endInAfter + 1)
             });
+  
+            const refinement = this.refineReplacement(beforeTokens.slice(op.startInBefore, op.endInBefore + 1),
+              afterTokens.slice(op.startInAfter, op.endInAfter + 1));
+            if (refinement) {
+              // The refiner does not refine again
+              diffObjects[diffObjects.length - 1].changes = refinement.refiner
+                .createDiffObjects(deletedTextReplace, insertedTextReplace,
+                  refinement.beforeTokens, refinement.afterTokens, refinement.operations, {
+                    before: this.tablePosition(beforeTable, op.startInBefore),
+                    after: this.tablePosition(afterTable, op.startInAfter)
+                  })
+                .filter(change => change.type !== 'equal');
+            }
+            break;
+  
+          case 'move-to':
+            // One 'move' object, at the destination, describes both ends of a move
+            diffObjects.push(this.createMoveObject(op, beforeTokens, afterTokens, beforeTable, afterTable));
             break;
         }
       }
@@ -414,42 +3719,214 @@ class HTMLDiff {
     }
   
     /**
-     * Get the character position in the original text from token indices
-     * @param {string[]} tokens - Token array
-     * @param {number} startToken - Starting token index
-     * @param {number} endToken - Ending token index
-     * @returns {number} Character position in original text
+     * Create the diff object of a moved block, with the edits made to it as nested changes
+     * @param {Object} op - 'move-to' operation
+     * @param {string[]} beforeTokens 
+     * @param {string[]} afterTokens 
+     * @param {Object} beforeTable - positionTable of the before tokens
+     * @param {Object} afterTable - positionTable of the after tokens
+     * @returns {Object} { type: 'move', moveId, text, oldText, positions, length, changes }
+     */
+    createMoveObject(op, beforeTokens, afterTokens, beforeTable, afterTable) {
+      const source = beforeTokens.slice(op.startInBefore, op.endInBefore + 1);
+      const destination = afterTokens.slice(op.startInAfter, op.endInAfter + 1);
+      const oldText = source.join('');
+      const text = destination.join('');
+  
+      const changes = oldText === text ? [] : this
+        .createDiffObjects(oldText, text, source, destination, this.calculateOperations(source, destination), {
+          before: this.tablePosition(beforeTable, op.startInBefore),
+          after: this.tablePosition(afterTable, op.startInAfter)
+        })
+        .filter(change => change.type !== 'equal');
+  
+      return {
+        type: 'move',
+        moveId: op.moveId,
+        text,
+        oldText,
+        ...this.rangeFields('before', beforeTable, beforeTokens, op.startInBefore, op.endInBefore + 1),
+        ...this.rangeFields('after', afterTable, afterTokens, op.startInAfter, op.endInAfter + 1),
+        length: afterTable.offsets[op.endInAfter + 1] - afterTable.offsets[op.startInAfter],
+        changes
+      };
+    }
+  
+    /**
+     * Positions of the token boundaries of a text, computed in one pass so that
+     * diff objects can look them up
+     * @param {string[]} tokens 
+     * @param {Object} [origin] - { offset, line, column } of the first token, when the
+     *   tokens are a slice of a longer text
+     * @returns {{offsets: number[], lines: number[], columns: number[]}} Position of the
+     *   start of each token, and of the end of the text at index tokens.length
+     */
+    positionTable(tokens, origin = { offset: 0, line: 1, column: 1 }) {
+      const table = { offsets: [origin.offset], lines: [origin.line], columns: [origin.column] };
+      let position = origin;
+      for (const token of tokens) {
+        position = this.advancePosition(position, token);
+        table.offsets.push(position.offset);
+        table.lines.push(position.line);
+        table.columns.push(position.column);
+      }
+      return table;
+    }
+  
+    /**
+     * Position of a token boundary
+     * @param {Object} table - From positionTable
+     * @param {number} index - Token index
+     * @returns {{offset: number, line: number, column: number}}
+     */
+    tablePosition(table, index) {
+      return { offset: table.offsets[index], line: table.lines[index], column: table.columns[index] };
+    }
+  
+    /**
+     * Position fields of one side of a diff object for a range of tokens, e.g.
+     * beforeStartPosition, beforeEndPosition and their lines and columns
+     * @param {string} side - 'before' or 'after'
+     * @param {Object} table - From positionTable
+     * @param {string[]} tokens 
+     * @param {number} start - First token index
+     * @param {number} end - Token index after the range
+     * @returns {Object} Fields; the end fields are those of the last character, and an
+     *   empty range (left when ignore options make an edit equal) ends just before it starts
+     */
+    rangeFields(side, table, tokens, start, end) {
+      if (start === end) {
+        return {
+          [`${side}StartPosition`]: table.offsets[start],
+          [`${side}EndPosition`]: table.offsets[start] - 1,
+          [`${side}StartLine`]: table.lines[start],
+          [`${side}StartColumn`]: table.columns[start],
+          [`${side}EndLine`]: table.lines[start],
+          [`${side}EndColumn`]: table.columns[start] - 1
+        };
+      }
+  
+      const last = tokens[end - 1];
+      const lastCharacter = this.advancePosition(this.tablePosition(table, end - 1),
+        last.slice(0, this.lastUnitStart(last)));
+  
+      return {
+        [`${side}StartPosition`]: table.offsets[start],
+        [`${side}EndPosition`]: lastCharacter.offset,
+        [`${side}StartLine`]: table.lines[start],
+        [`${side}StartColumn`]: table.columns[start],
+        [`${side}EndLine`]: lastCharacter.line,
+        [`${side}EndColumn`]: lastCharacter.column
+      };
+    }
+  
+    /**
+     * Position fields of one side of a diff object for a token boundary, e.g.
+     * beforePosition, beforeLine and beforeColumn
+     * @param {string} side - 'before' or 'after'
+     * @param {Object} table - From positionTable
+     * @param {number} index - Token index
+     * @returns {Object} Fields
+     */
+    pointFields(side, table, index) {
+      return {
+        [`${side}Position`]: table.offsets[index],
+        [`${side}Line`]: table.lines[index],
+        [`${side}Column`]: table.columns[index]
+      };
+    }
+  
+    /**
+     * Position after some text
+     * @param {{offset: number, line: number, column: number}} position - Where the text starts
+     * @param {string} text 
+     * @returns {{offset: number, line: number, column: number}}
+     */
+    advancePosition({ offset, line, column }, text) {
+      const length = this.unitLength(text);
+      const lastBreak = text.lastIndexOf('\n');
+      if (lastBreak === -1) return { offset: offset + length, line, column: column + length };
+  
+      return {
+        offset: offset + length,
+        line: line + text.split('\n').length - 1,
+        column: 1 + this.unitLength(text.slice(lastBreak + 1))
+      };
+    }
+  
+    /**
+     * Length of a text in the positionUnit option's unit
+     * @param {string} text 
+     * @returns {number}
+     */
+    unitLength(text) {
+      switch (this.options.positionUnit) {
+        case 'codepoint':
+          return text.length - (text.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g) || []).length;
+        case 'grapheme':
+          return (this.segment(text, 'grapheme') || Array.from(text)).length;
+        default:
+          return text.length;
+      }
+    }
+  
+    /**
+     * Index in a text of its last character, in the positionUnit option's unit
+     * @param {string} text - Non-empty text
+     * @returns {number} UTF-16 index
      */
-    getTextPosition(tokens, startToken, endToken) {
-      return tokens.slice(startToken, endToken).join('').length;
+    lastUnitStart(text) {
+      switch (this.options.positionUnit) {
+        case 'codepoint':
+          return /[\uD800-\uDBFF][\uDC00-\uDFFF]$/.test(text) ? text.length - 2 : text.length - 1;
+        case 'grapheme': {
+          const units = this.segment(text, 'grapheme') || Array.from(text);
+          return text.length - units[units.length - 1].length;
+        }
+        default:
+          return text.length - 1;
+      }
     }
   
     /**
      * Wrap content with HTML tag, preserving existing tags
      * @param {string} tag 
      * @param {string[]} content 
+     * @param {string} [openTag] - Opening tag to use, e.g. with attributes
      * @returns {string} Wrapped content
      */
-    wrapWithTag(tag, content) {
+    wrapWithTag(tag, content, openTag = `<${tag}>`) {
       let rendering = '';
       let position = 0;
       const length = content.length;
   
+      const isContainerTag = token => {
+        const parsed = token !== undefined && this.isTag(token) && this.parseTag(token.trim());
+        return Boolean(parsed && CONTAINER_ELEMENTS.has(parsed.name));
+      };
+  
       while (position < length) {
         // Process non-tag tokens
         const nonTags = this.consecutiveWhere(position, content, token => !this.isTag(token));
-        position += nonTags.length;
+        const text = nonTags.join('');
   
         if (nonTags.length > 0) {
-          rendering += `<${tag}>${nonTags.join('')}</${tag}>`;
+          // Whitespace between list items or table cells stays bare: <ins>/<del> may not go there
+          const betweenElements = !text.trim() &&
+            (isContainerTag(content[position - 1]) || isContainerTag(content[position + nonTags.length]));
+          rendering += betweenElements ? text : `${openTag}${text}</${tag}>`;
         }
+        position += nonTags.length;
   
         if (position >= length) break;
   
-        // Process tag tokens
+        // Process tag tokens; images, media and the like render something, so they are wrapped too
         const tags = this.consecutiveWhere(position, content, token => this.isTag(token));
         position += tags.length;
-        rendering += tags.join('');
+        rendering += tags.map(token => {
+          const name = this.atomicElement(token);
+          return name ? `${this.addClass(openTag, `diff-${name}-changed`)}${token}</${tag}>` : token;
+        }).join('');
       }
   
       return rendering;
@@ -492,7 +3969,21 @@ class HTMLDiff {
     }
   
     isTag(token) {
-      return /^\s*<[^>]+>\s*$/.test(token);
+      // Text and Markdown inputs have no tags: '<' there is just a character
+      if (this.options.format !== 'html') return false;
+      return /^\s*<[^>]+>\s*$/.test(token) || this.atomicElement(token) !== null;
+    }
+  
+    /**
+     * Name of the media element or visible void element a token holds
+     * @param {string} token 
+     * @returns {string|null} Lower-case element name, or null for other tokens
+     */
+    atomicElement(token) {
+      const match = /^\s*<\s*([a-zA-Z][\w:-]*)/.exec(token);
+      if (!match) return null;
+      const name = match[1].toLowerCase();
+      return MEDIA_ELEMENTS.has(name) || VISIBLE_VOID_ELEMENTS.has(name) ? name : null;
     }
   }
   
@@ -509,92 +4000,201 @@ class HTMLDiff {
     }
   }
   
-  // Create global instance and export function
-  const htmlDiffer = new HTMLDiff();
+  // Convenience functions; each call uses its own HTMLDiff instance
   
   /**
    * Compare two HTML strings and return structured diff data
    * @param {string} before - Original HTML
    * @param {string} after - New HTML
+   * @param {Object} [options] - HTMLDiff options
    * @returns {Object[]} Array of diff objects with position info
    */
-  function htmldiff(before, after) {
-    return htmlDiffer.diff(before, after);
+  function htmldiff(before, after, options) {
+    return new HTMLDiff(options).diff(before, after);
   }
   
   /**
    * Compare two HTML strings and return HTML markup (legacy)
    * @param {string} before - Original HTML
    * @param {string} after - New HTML  
+   * @param {Object} [options] - HTMLDiff options, including `render` options
+   * @returns {string} HTML with diff markup
+   */
+  function htmldiffToHTML(before, after, options) {
+    return new HTMLDiff(options).diffToHTML(before, after);
+  }
+  
+  /**
+   * Compare two untrusted texts and return HTML markup with every input character escaped
+   * @param {string} before - Original text
+   * @param {string} after - New text
+   * @param {Object} [options] - HTMLDiff options, including `render` options
    * @returns {string} HTML with diff markup
    */
-  function htmldiffToHTML(before, after) {
-    return htmlDiffer.diffToHTML(before, after);
+  function diffTextToHTML(before, after, options) {
+    return new HTMLDiff(options).diffTextToHTML(before, after);
+  }
+  
+  /**
+   * Compare two HTML strings and return a side-by-side HTML table
+   * @param {string} before - Original HTML
+   * @param {string} after - New HTML
+   * @param {Object} [options] - HTMLDiff options, including `render` options
+   * @returns {string} HTML table
+   */
+  function htmldiffToSideBySide(before, after, options) {
+    return new HTMLDiff(options).diffToSideBySide(before, after);
+  }
+  
+  /**
+   * Compare two texts line by line and return a unified diff
+   * @param {string} before - Original text
+   * @param {string} after - New text
+   * @param {Object} [unifiedOptions] - { context, fromFile, toFile }
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {string} Unified diff
+   */
+  function htmldiffToUnified(before, after, unifiedOptions, options) {
+    return new HTMLDiff(options).diffToUnified(before, after, unifiedOptions);
+  }
+  
+  /**
+   * Compare two Markdown documents and return Markdown with the changes marked
+   * @param {string} before - Original Markdown
+   * @param {string} after - New Markdown
+   * @param {Object} [markdownOptions] - { style: 'strikethrough' | 'critic' }
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {string} Markdown
+   */
+  function htmldiffToMarkdown(before, after, markdownOptions, options) {
+    return new HTMLDiff(options).diffToMarkdown(before, after, markdownOptions);
+  }
+  
+  /**
+   * Create a patch that turns `before` into `after`
+   * @param {string} before - Original HTML
+   * @param {string} after - New HTML
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {Object} JSON-serialisable patch
+   */
+  function createPatch(before, after, options) {
+    return new HTMLDiff(options).createPatch(before, after);
+  }
+  
+  /**
+   * Apply a patch, reporting hunks that no longer fit as conflicts
+   * @param {string} before - Text to patch
+   * @param {Object} patch - Patch from createPatch
+   * @param {Object} [applyOptions] - { fuzzy, maxDrift }
+   * @returns {{text: string, applied: boolean[], conflicts: Object[]}} Result
+   */
+  function applyPatch(before, patch, applyOptions) {
+    return new HTMLDiff().applyPatch(before, patch, applyOptions);
+  }
+  
+  /**
+   * Invert a patch, e.g. for undo
+   * @param {Object} patch - Patch from createPatch
+   * @returns {Object} Inverted patch
+   */
+  function invertPatch(patch) {
+    return new HTMLDiff().invertPatch(patch);
+  }
+  
+  /**
+   * Three-way merge of two revisions of a common base
+   * @param {string} base - Common ancestor
+   * @param {string} ours - Our revision
+   * @param {string} theirs - Their revision
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {{html: string, clean: boolean, conflicts: Object[]}} Merge result
+   */
+  function merge3(base, ours, theirs, options) {
+    return new HTMLDiff(options).merge3(base, ours, theirs);
+  }
+  
+  /**
+   * Summarise how much changed between two HTML strings
+   * @param {string} before - Original HTML
+   * @param {string} after - New HTML
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {Object} Counts, similarity ratio and edit distance
+   */
+  function diffStats(before, after, options) {
+    return new HTMLDiff(options).diffStats(before, after);
+  }
+  
+  /**
+   * Attribute every part of the last revision to the revision that introduced it
+   * @param {Object[]} revisions - { html, author, timestamp }, oldest first
+   * @param {Object} [historyOptions] - { showDeleted }
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {{html: string, segments: Object[]}} Annotated HTML and attributed runs
+   */
+  function diffHistory(revisions, historyOptions, options) {
+    return new HTMLDiff(options).diffHistory(revisions, historyOptions);
+  }
+  
+  /**
+   * Apply accept/reject decisions to the changes of a diff
+   * @param {string} before - Original HTML string
+   * @param {string} after - New HTML string
+   * @param {Object} [decisions] - { [changeId]: 'accept' | 'reject' }
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {string} HTML with the undecided changes marked up
+   */
+  function resolveChanges(before, after, decisions, options) {
+    return new HTMLDiff(options).resolveChanges(before, after, decisions);
+  }
+  
+  /**
+   * Outline a diff by heading sections, with a table of contents and anchors
+   * @param {string} before - Original HTML string
+   * @param {string} after - New HTML string
+   * @param {Object} [outlineOptions] - { collapseUnchanged, anchorPrefix }
+   * @param {Object} [options] - HTMLDiff options
+   * @returns {{sections: Object[], toc: string, html: string}} Outline
+   */
+  function diffOutline(before, after, outlineOptions, options) {
+    return new HTMLDiff(options).diffOutline(before, after, outlineOptions);
   }
   
-  // Export for different module systems
-  if (typeof define === 'function' && define.amd) {
-    define([], () => ({ htmldiff, htmldiffToHTML, HTMLDiff }));
-  } else if (typeof module !== 'undefined' && module.exports) {
+  // CommonJS exports; the ESM entry point (index.mjs) re-exports these.
+  // Loaded as a classic script (a <script> tag or importScripts in a Web Worker)
+  // they are set as globals, since top-level classes are not global properties.
+  if (typeof module !== 'undefined' && module.exports) {
     module.exports = htmldiff;
     module.exports.htmldiff = htmldiff;
     module.exports.htmldiffToHTML = htmldiffToHTML;
+    module.exports.diffTextToHTML = diffTextToHTML;
+    module.exports.htmldiffToSideBySide = htmldiffToSideBySide;
+    module.exports.htmldiffToUnified = htmldiffToUnified;
+    module.exports.htmldiffToMarkdown = htmldiffToMarkdown;
+    module.exports.createPatch = createPatch;
+    module.exports.applyPatch = applyPatch;
+    module.exports.invertPatch = invertPatch;
+    module.exports.merge3 = merge3;
+    module.exports.diffStats = diffStats;
+    module.exports.diffHistory = diffHistory;
+    module.exports.resolveChanges = resolveChanges;
+    module.exports.diffOutline = diffOutline;
     module.exports.HTMLDiff = HTMLDiff;
     module.exports.Match = Match;
-  } else if (typeof window !== 'undefined') {
-    window.htmldiff = htmldiff;
-    window.htmldiffToHTML = htmldiffToHTML;
-    window.HTMLDiff = HTMLDiff;
+  } else {
+    globalThis.htmldiff = htmldiff;
+    globalThis.htmldiffToHTML = htmldiffToHTML;
+    globalThis.diffTextToHTML = diffTextToHTML;
+    globalThis.htmldiffToSideBySide = htmldiffToSideBySide;
+    globalThis.htmldiffToUnified = htmldiffToUnified;
+    globalThis.htmldiffToMarkdown = htmldiffToMarkdown;
+    globalThis.createPatch = createPatch;
+    globalThis.applyPatch = applyPatch;
+    globalThis.invertPatch = invertPatch;
+    globalThis.merge3 = merge3;
+    globalThis.diffStats = diffStats;
+    globalThis.diffHistory = diffHistory;
+    globalThis.resolveChanges = resolveChanges;
+    globalThis.diffOutline = diffOutline;
+    globalThis.HTMLDiff = HTMLDiff;
+    globalThis.Match = Match;
   }
-  
-  // Usage example
-  if (typeof document !== 'undefined') {
-    const originalHTML = 'this is original text';
-    const newHTML = 'this is new text';
-  
-    // Generate structured diff data
-    const diffData = htmldiff(originalHTML, newHTML);
-    console.log('Diff data:', diffData);
-  
-    // Generate HTML markup (legacy method)
-    const forwardDiff = htmldiffToHTML(originalHTML, newHTML);
-    const reverseDiff = htmldiffToHTML(newHTML, originalHTML);
-  
-    // Display results if elements exist
-    const outputElement = document.getElementById('output');
-    const outputNewElement = document.getElementById('outputNew');
-    
-    if (outputElement) outputElement.innerHTML = forwardDiff;
-    if (outputNewElement) outputNewElement.innerHTML = reverseDiff;
-  
-    // Example of how to use diff data for custom highlighting
-    function highlightDifferences(diffData, targetElement) {
-      if (!targetElement) return;
-      
-      let html = '';
-      diffData.forEach(diff => {
-        switch (diff.type) {
-          case 'equal':
-            html += diff.text;
-            break;
-          case 'insert':
-            html += `<span class="inserted" data-position="${diff.afterStartPosition}">${diff.text}</span>`;
-            break;
-          case 'delete':
-            html += `<span class="deleted" data-position="${diff.beforeStartPosition}">${diff.text}</span>`;
-            break;
-          case 'replace':
-            html += `<span class="deleted" data-position="${diff.beforeStartPosition}">${diff.oldText}</span>`;
-            html += `<span class="inserted" data-position="${diff.afterStartPosition}">${diff.newText}</span>`;
-            break;
-        }
-      });
-      targetElement.innerHTML = html;
-    }
-  
-    // Usage example
-    const customHighlightElement = document.getElementById('customHighlight');
-    if (customHighlightElement) {
-      highlightDifferences(diffData, customHighlightElement);
-    }
-  }
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Type definitions for the click-to-review helper in review.js
+ */
+
+export type Decisions = Record<string, 'accept' | 'reject'>;
+
+export interface ReviewOptions {
+  tags?: { insert?: string; delete?: string };
+  decisions?: Decisions;
+  onChange?: (decisions: Decisions) => void;
+}
+
+export function reviewChanges(root: Element, options?: ReviewOptions): {
+  decisions: Decisions;
+  destroy(): void;
+};
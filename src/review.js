@@ -0,0 +1,63 @@
+/**
+ * Collects accept/reject decisions from clicks on diffToHTML output, for resolveChanges.
+ * Clicking the inserted part of a change accepts it, clicking its deleted part
+ * rejects it, and clicking the same part again clears the decision.
+ *
+ *   const review = reviewChanges(document.querySelector('#diff'), { onChange: save });
+ *   const html = new HTMLDiff().resolveChanges(before, after, review.decisions);
+ *
+ * Decided changes get the diff-accepted or diff-rejected class, for styling.
+ */
+
+const DECISION_CLASSES = { accept: 'diff-accepted', reject: 'diff-rejected' };
+
+/**
+ * Start collecting decisions from clicks inside a rendered diff
+ * @param {Element} root - Element containing the diffToHTML output
+ * @param {Object} [options]
+ * @param {Object} [options.tags] - The insert/delete tags the diff was rendered with
+ * @param {Object} [options.decisions] - Decisions to start from, e.g. saved ones
+ * @param {Function} [options.onChange] - Called with the decisions after each change
+ * @returns {{decisions: Object, destroy: Function}} The live { [changeId]: 'accept' | 'reject' }
+ *   map, and a function that stops listening
+ */
+function reviewChanges(root, { tags = {}, decisions = {}, onChange } = {}) {
+  const { insert = 'ins', delete: remove = 'del' } = tags;
+  const current = { ...decisions };
+
+  const mark = id => {
+    for (const element of root.querySelectorAll('[data-change-id]')) {
+      if (element.getAttribute('data-change-id') !== id) continue;
+      for (const [decision, className] of Object.entries(DECISION_CLASSES)) {
+        element.classList.toggle(className, current[id] === decision);
+      }
+    }
+  };
+
+  const onClick = event => {
+    const element = event.target.closest('[data-change-id]');
+    if (!element || !root.contains(element)) return;
+
+    const name = element.tagName.toLowerCase();
+    const decision = { [insert]: 'accept', [remove]: 'reject' }[name];
+    if (!decision) return;
+
+    const id = element.getAttribute('data-change-id');
+    if (current[id] === decision) delete current[id];
+    else current[id] = decision;
+    mark(id);
+    if (onChange) onChange({ ...current });
+  };
+
+  Object.keys(current).forEach(mark);
+  root.addEventListener('click', onClick);
+
+  return {
+    decisions: current,
+    destroy: () => root.removeEventListener('click', onClick)
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { reviewChanges };
+}
@@ -0,0 +1,12 @@
+/**
+ * Type definitions for the worker_threads client in worker.js
+ */
+
+import htmldiff = require('./main.js');
+
+export interface DiffWorker {
+  run<T = unknown>(method: string, args: unknown[], options?: { signal?: AbortSignal }): Promise<T>;
+  terminate(): void;
+}
+
+export function createDiffWorker(options?: htmldiff.HTMLDiffOptions): DiffWorker;
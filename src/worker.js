@@ -0,0 +1,172 @@
+/**
+ * Runs HTMLDiff off the main thread, in a worker_threads Worker or a Web Worker.
+ *
+ * Node:    const { createDiffWorker } = require('text-diff/worker');
+ *          const worker = createDiffWorker({ granularity: 'char' });
+ *          const diff = await worker.run('diff', [before, after]);
+ * Browser: const worker = new Worker('src/worker.js'); // loads main.js from the same directory
+ *          worker.postMessage({ id: 1, method: 'diffToHTML', args: [before, after], options });
+ *
+ * Messages in:  { id, method, args, options } - method is an HTMLDiff method name
+ * Messages out: { id, result } or { id, error: { name, message } }
+ *
+ * Options, arguments and results are structured-cloned, so function options
+ * (tokenize, render.openTag) cannot be used here.
+ */
+
+(function () {
+  // Methods a worker may run; anything else would let messages call internals
+  const METHODS = [
+    'diff', 'diffAsync', 'diffStats', 'diffToHTML', 'diffTextToHTML', 'diffToSideBySide',
+    'diffToUnified', 'diffToMarkdown', 'createPatch', 'applyPatch', 'invertPatch', 'merge3',
+    'diffHistory', 'resolveChanges', 'diffOutline'
+  ];
+
+  /**
+   * Answer diff requests
+   * @param {Function} HTMLDiff - The HTMLDiff class
+   * @param {Function} post - Sends a message to the main thread
+   * @param {Function} listen - Registers a handler for messages from the main thread
+   */
+  function serve(HTMLDiff, post, listen) {
+    listen(async ({ id, method, args = [], options }) => {
+      try {
+        if (!METHODS.includes(method)) throw new Error(`Unknown method: ${method}`);
+        const result = await new HTMLDiff(options)[method](...args);
+        post({ id, result });
+      } catch (error) {
+        post({ id, error: { name: error.name, message: error.message } });
+      }
+    });
+  }
+
+  /**
+   * Create a worker_threads client (Node, main thread)
+   * @param {Object} [options] - HTMLDiff options used for every call
+   * @returns {{run: Function, terminate: Function}} `run(method, args, { signal })`
+   *   resolves with the method's result; aborting a call terminates the worker, and
+   *   the other calls in flight start over in a new one. `terminate()` rejects the
+   *   calls in flight, as does the worker dying.
+   */
+  function createDiffWorker(options) {
+    const { Worker } = require('worker_threads');
+    const pending = new Map();
+    let worker = null;
+    let nextId = 0;
+
+    const rejectAll = error => {
+      for (const { reject } of pending.values()) reject(error);
+      pending.clear();
+    };
+
+    // The signal's reason, or an AbortError where signals have no reason (Node 16)
+    const abortError = signal => {
+      if (signal.reason !== undefined) return signal.reason;
+      const error = new Error('The diff was aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    const start = () => {
+      const current = new Worker(__filename, { workerData: { htmldiffWorker: true } });
+      worker = current;
+      worker.on('message', ({ id, result, error }) => {
+        const call = pending.get(id);
+        if (!call) return;
+        pending.delete(id);
+        if (!error) {
+          call.resolve(result);
+          return;
+        }
+        const failure = new Error(error.message);
+        failure.name = error.name;
+        call.reject(failure);
+      });
+      worker.on('error', error => {
+        // A worker terminated by an abort has already been replaced
+        if (worker !== current) return;
+        rejectAll(error);
+        worker = null;
+      });
+      worker.on('exit', code => {
+        if (worker !== current) return;
+        rejectAll(new Error(`The diff worker stopped with exit code ${code}`));
+        worker = null;
+      });
+      // Idle workers should not keep the process alive
+      worker.unref();
+    };
+
+    const stop = () => {
+      if (worker) worker.terminate();
+      worker = null;
+    };
+
+    const terminate = () => {
+      stop();
+      rejectAll(new Error('The diff worker was terminated'));
+    };
+
+    // Replace the worker, sending the calls still pending to the new one
+    const restart = () => {
+      stop();
+      if (!pending.size) return;
+      start();
+      worker.ref();
+      for (const { message } of pending.values()) worker.postMessage(message);
+    };
+
+    const run = (method, args, { signal } = {}) => {
+      let onAbort = null;
+
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(abortError(signal));
+          return;
+        }
+        if (!worker) start();
+
+        const id = nextId++;
+        const message = { id, method, args, options };
+        pending.set(id, { resolve, reject, message });
+        worker.ref();
+        worker.postMessage(message);
+
+        if (signal) {
+          onAbort = () => {
+            const call = pending.get(id);
+            if (!call) return;
+            pending.delete(id);
+            call.reject(abortError(signal));
+            // The matcher cannot be interrupted, so the whole worker goes
+            restart();
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }).finally(() => {
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+        if (worker && !pending.size) worker.unref();
+      });
+    };
+
+    return { run, terminate };
+  }
+
+  const isNode = typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+
+  if (isNode) {
+    // Only workers started by createDiffWorker serve; requiring this module in any other thread is a plain import
+    const { workerData, parentPort } = require('worker_threads');
+    if (workerData && workerData.htmldiffWorker) {
+      const { HTMLDiff } = require('./main.js');
+      serve(HTMLDiff, message => parentPort.postMessage(message), handler => parentPort.on('message', handler));
+    } else {
+      module.exports = { createDiffWorker };
+    }
+  } else {
+    importScripts('main.js');
+    // main.js declares HTMLDiff as a global when loaded as a classic script
+    serve(HTMLDiff, message => self.postMessage(message),
+      handler => self.addEventListener('message', event => handler(event.data)));
+  }
+})();
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const ALGORITHMS = ['myers', 'patience', 'histogram', 'lcs'];
+
+const INPUTS = [
+  ['', ''],
+  ['abc', ''],
+  ['', 'abc'],
+  ['abcabba', 'cbabac'],
+  ['the quick brown fox', 'the slow brown dog'],
+  ['aaaaab', 'baaaaa'],
+  ['abcdefg', 'gfedcba'],
+  ['x'.repeat(40) + 'abc', 'abc' + 'x'.repeat(40)],
+  ['kitten sitting on the mat', 'sitting kitten on a mat'],
+  ['0123456789'.repeat(5), '0123456789'.repeat(5).replace(/5/g, 'five')]
+].map(([before, after]) => [Array.from(before), Array.from(after)]);
+
+// Length of the longest common subsequence, by dynamic programming
+const lcsLength = (a, b) => {
+  let previous = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [0];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Checks that matches pair equal tokens and keep their order on both sides
+const assertValidMatches = (matches, before, after, label) => {
+  let endInBefore = 0;
+  let endInAfter = 0;
+  for (const match of matches) {
+    assert.ok(match.length > 0, label);
+    assert.ok(match.startInBefore >= endInBefore && match.startInAfter >= endInAfter, label);
+    for (let i = 0; i < match.length; i++) {
+      assert.strictEqual(before[match.startInBefore + i], after[match.startInAfter + i], label);
+    }
+    endInBefore = match.startInBefore + match.length;
+    endInAfter = match.startInAfter + match.length;
+  }
+  assert.ok(endInBefore <= before.length && endInAfter <= after.length, label);
+};
+
+// Checks that operations cover both token arrays in order and that equal ones match
+const assertValidOperations = (operations, before, after, label) => {
+  let positionInBefore = 0;
+  let positionInAfter = 0;
+  for (const op of operations) {
+    if (op.action !== 'insert') {
+      assert.strictEqual(op.startInBefore, positionInBefore, label);
+      positionInBefore = op.endInBefore + 1;
+    }
+    if (op.action !== 'delete') {
+      assert.strictEqual(op.startInAfter, positionInAfter, label);
+      positionInAfter = op.endInAfter + 1;
+    }
+    if (op.action === 'equal') {
+      assert.deepStrictEqual(before.slice(op.startInBefore, op.endInBefore + 1),
+        after.slice(op.startInAfter, op.endInAfter + 1), label);
+    }
+  }
+  assert.strictEqual(positionInBefore, before.length, label);
+  assert.strictEqual(positionInAfter, after.length, label);
+};
+
+test('every engine gives a valid edit script', () => {
+  for (const algorithm of ALGORITHMS) {
+    const differ = new HTMLDiff({ algorithm });
+    for (const [before, after] of INPUTS) {
+      const label = `${algorithm}: ${before.join('')} -> ${after.join('')}`;
+      assertValidMatches(differ.findMatchingBlocks(before, after), before, after, label);
+      assertValidOperations(differ.calculateOperations(before, after), before, after, label);
+    }
+  }
+});
+
+// Small deterministic PRNG, so failures can be reproduced
+const createRandom = seed => () => {
+  seed = (seed * 16807) % 2147483647;
+  return seed / 2147483647;
+};
+
+test('Myers gives a minimal edit script', () => {
+  const differ = new HTMLDiff({ algorithm: 'myers' });
+  const random = createRandom(42);
+  const randomTokens = () => Array.from({ length: Math.floor(random() * 30) }, () => 'abc'[Math.floor(random() * 3)]);
+  const pairs = Array.from({ length: 200 }, () => [randomTokens(), randomTokens()]);
+  for (const [before, after] of [...INPUTS, ...pairs]) {
+    const matched = differ.findMatchingBlocks(before, after).reduce((sum, match) => sum + match.length, 0);
+    assert.strictEqual(matched, lcsLength(before, after), `${before.join('')} -> ${after.join('')}`);
+  }
+});
+
+test('engines give the same result for diff objects on HTML', () => {
+  const before = '<p>The quick brown fox</p><p>jumps over the lazy dog.</p>';
+  const after = '<p>The quick red fox</p><p>jumped over the dog!</p>';
+  for (const algorithm of ALGORITHMS) {
+    const changes = new HTMLDiff({ algorithm }).diff(before, after).filter(change => change.type !== 'equal');
+    assert.deepStrictEqual(changes.map(change => [change.type, change.oldText, change.newText]), [
+      ['replace', 'brown', 'red'],
+      ['replace', 'jumps', 'jumped'],
+      ['delete', undefined, undefined],
+      ['replace', '.', '!']
+    ], algorithm);
+  }
+});
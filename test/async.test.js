@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i % 97}`).join(' ');
+
+// The text of one side of some diff objects, which has to be the whole input
+const sideText = (changes, side) => changes.map(change => {
+  if (change.type === 'equal') return change.text;
+  if (change.type === 'replace') return side === 'before' ? change.oldText : change.newText;
+  if (change.type === 'insert') return side === 'before' ? '' : change.text;
+  if (change.type === 'delete') return side === 'before' ? change.text : '';
+  return '';
+}).join('');
+
+test('diffAsync covers both inputs', async () => {
+  const html = ['<p>one two three</p>\n<p>four five</p>', '<p>one 2 three</p>\n<p>four five</p>\n<p>six</p>'];
+  const text = ['one two three\nfour five\n', 'one 2 three\nfour five\nsix\n'];
+  for (const [options, [before, after]] of [[{}, html], [{ granularity: 'char' }, html], [{ format: 'text' }, text],
+    [{ format: 'markdown' }, text]]) {
+    const changes = await new HTMLDiff(options).diffAsync(before, after);
+    assert.strictEqual(sideText(changes, 'before'), before, JSON.stringify(options));
+    assert.strictEqual(sideText(changes, 'after'), after, JSON.stringify(options));
+    assert.ok(changes.some(change => change.type === 'replace'), JSON.stringify(options));
+  }
+});
+
+test('diffAsync can be aborted while a large input is tokenized', async () => {
+  const text = words(200000);
+  const controller = new AbortController();
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(new HTMLDiff({ format: 'text' }).diffAsync(text, `${text} more`, { signal: controller.signal }),
+    error => error.name === 'AbortError');
+  assert.ok(Date.now() - started < 1000, `aborting took ${Date.now() - started} ms`);
+});
+
+test('diffAsync meets its deadline while a large input is tokenized', async () => {
+  const before = words(200000);
+  const after = `${before} more`;
+  const started = Date.now();
+  const changes = await new HTMLDiff({ format: 'text' }).diffAsync(before, after, { timeoutMs: 20 });
+  assert.ok(Date.now() - started < 1000, `diffAsync took ${Date.now() - started} ms`);
+  assert.strictEqual(sideText(changes, 'before'), before);
+  assert.strictEqual(sideText(changes, 'after'), after);
+});
+
+test('diffAsync rejects with an AbortError when the signal has no reason', async () => {
+  const signal = { aborted: true, reason: undefined };
+  await assert.rejects(new HTMLDiff().diffAsync('a', 'b', { signal }), error => error.name === 'AbortError');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const differ = new HTMLDiff();
+
+test('images and media elements are single tokens', () => {
+  assert.deepStrictEqual(differ.htmlToTokens('<p>A <img src="a.png"> b</p><video src="v.mp4" controls><track src="t.vtt"></video>'),
+    ['<p>', 'A', ' ', '<img src="a.png">', ' ', 'b', '</p>', '<video src="v.mp4" controls><track src="t.vtt"></video>']);
+  assert.deepStrictEqual(differ.diff('<p><img src="a.png"></p>', '<p><img src="b.png"></p>')
+    .map(({ type, text, oldText, newText }) => [type, text ?? oldText, newText]), [
+    ['equal', '<p>', undefined],
+    ['replace', '<img src="a.png">', '<img src="b.png">'],
+    ['equal', '</p>', undefined]
+  ]);
+});
+
+test('changed images are wrapped with a class naming the element', () => {
+  assert.strictEqual(differ.diffToHTML('<p>A <img src="a.png"> b</p>', '<p>A <img src="b.png"> b</p>'),
+    '<p>A <del data-change-id="cd4udd6" class="diff-img-changed"><img src="a.png"></del>' +
+    '<ins data-change-id="cd4udd6" class="diff-img-changed"><img src="b.png"></ins> b</p>');
+  assert.strictEqual(differ.diffToHTML('<p>x</p><hr><p>y</p>', '<p>x</p><p>y</p>'),
+    '<p>x</p><del data-change-id="c8170w6" class="diff-hr-changed"><hr></del><p>y</p>');
+});
+
+test('a change inside a video replaces the whole video', () => {
+  assert.strictEqual(differ.diffToHTML('<video src="v.mp4"><track src="a.vtt"></video>', '<video src="v.mp4"><track src="b.vtt"></video>'),
+    '<del data-change-id="cx6xu6i" class="diff-video-changed"><video src="v.mp4"><track src="a.vtt"></video></del>' +
+    '<ins data-change-id="cx6xu6i" class="diff-video-changed"><video src="v.mp4"><track src="b.vtt"></video></ins>');
+});
+
+test('inserted and deleted table rows and list items are marked as a whole', () => {
+  const row = (a, b) => `<tr><td>${a}</td><td>${b}</td></tr>`;
+  assert.strictEqual(differ.diffToHTML(`<table>${row(1, 2)}</table>`, `<table>${row(1, 2)}${row(3, 4)}</table>`),
+    `<table>${row(1, 2)}<tr class="diff-ins"><td><ins data-change-id="c1hehv32">3</ins></td>` +
+    '<td><ins data-change-id="c1hehv32">4</ins></td></tr></table>');
+  assert.strictEqual(differ.diffToHTML(`<table>${row(1, 2)}${row(3, 4)}</table>`, `<table>${row(3, 4)}</table>`),
+    '<table><tr class="diff-del"><td><del data-change-id="c2e8t7g">1</del></td>' +
+    `<td><del data-change-id="c2e8t7g">2</del></td></tr>${row(3, 4)}</table>`);
+  assert.strictEqual(differ.diffToHTML('<ul><li>one</li><li>two</li></ul>', '<ul><li>one</li><li>new</li><li>two</li></ul>'),
+    '<ul><li>one</li><li class="diff-ins"><ins data-change-id="c116vqat">new</ins></li><li>two</li></ul>');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+// calculateOperations as [action, before text, after text]
+const operations = (options, before, after) => {
+  const differ = new HTMLDiff({ granularity: 'char', ...options });
+  const beforeTokens = differ.htmlToTokens(before);
+  const afterTokens = differ.htmlToTokens(after);
+  return differ.calculateOperations(beforeTokens, afterTokens).map(op => [
+    op.action,
+    beforeTokens.slice(op.startInBefore, op.endInBefore + 1).join(''),
+    afterTokens.slice(op.startInAfter, op.endInAfter + 1).join('')
+  ]);
+};
+
+test('without cleanup short coincidental equalities are kept', () => {
+  assert.deepStrictEqual(operations({ cleanup: 'none' }, 'mouse', 'sofas'), [
+    ['replace', 'm', 's'],
+    ['equal', 'o', 'o'],
+    ['replace', 'u', 'fa'],
+    ['equal', 's', 's'],
+    ['delete', 'e', '']
+  ]);
+});
+
+test('both cleanups absorb equalities no longer than the edits around them', () => {
+  for (const cleanup of ['semantic', 'efficiency']) {
+    assert.deepStrictEqual(operations({ cleanup }, 'mouse', 'sofas'), [['replace', 'mouse', 'sofas']], cleanup);
+    assert.deepStrictEqual(operations({ cleanup }, 'abXYcd', '12XY34'), [['replace', 'abXYcd', '12XY34']], cleanup);
+  }
+  assert.deepStrictEqual(operations({ cleanup: 'none' }, 'abXYcd', '12XY34'),
+    [['replace', 'ab', '12'], ['equal', 'XY', 'XY'], ['replace', 'cd', '34']]);
+});
+
+test('semantic cleanup absorbs equalities shorter than the edits, whatever their length', () => {
+  const before = 'abcdefghijXXXXXklmnopqrstu';
+  const after = '0123456789XXXXX9876543210';
+  const split = [['replace', 'abcdefghij', '0123456789'], ['equal', 'XXXXX', 'XXXXX'], ['replace', 'klmnopqrstu', '9876543210']];
+  assert.deepStrictEqual(operations({ cleanup: 'none' }, before, after), split);
+  assert.deepStrictEqual(operations({ cleanup: 'semantic' }, before, after), [['replace', before, after]]);
+  // Five characters are cheaper to show than to rewrite at the default edit cost
+  assert.deepStrictEqual(operations({ cleanup: 'efficiency' }, before, after), split);
+  assert.deepStrictEqual(operations({ cleanup: 'efficiency', editCost: 6 }, before, after), [['replace', before, after]]);
+});
+
+test('efficiency cleanup absorbs equalities shorter than the edit cost, whatever the edits', () => {
+  const split = [['replace', 'a', '1'], ['equal', 'XYZ', 'XYZ'], ['replace', 'b', '2']];
+  assert.deepStrictEqual(operations({ cleanup: 'none' }, 'aXYZb', '1XYZ2'), split);
+  assert.deepStrictEqual(operations({ cleanup: 'semantic' }, 'aXYZb', '1XYZ2'), split);
+  assert.deepStrictEqual(operations({ cleanup: 'efficiency' }, 'aXYZb', '1XYZ2'), [['replace', 'aXYZb', '1XYZ2']]);
+  assert.deepStrictEqual(operations({ cleanup: 'efficiency', editCost: 3 }, 'aXYZb', '1XYZ2'), split);
+});
+
+test('semantic cleanup slides insertions to sentence boundaries', () => {
+  const before = 'He said hello. Bye.';
+  const after = 'He said hello. He said hello. Bye.';
+  assert.deepStrictEqual(operations({ cleanup: 'none' }, before, after),
+    [['equal', 'He said hello. ', 'He said hello. '], ['insert', '', 'He said hello. '], ['equal', 'Bye.', 'Bye.']]);
+  assert.deepStrictEqual(operations({ cleanup: 'semantic' }, before, after),
+    [['insert', '', 'He said hello. '], ['equal', before, before]]);
+  assert.deepStrictEqual(operations({ cleanup: 'efficiency' }, before, after), operations({ cleanup: 'none' }, before, after));
+});
+
+test('cleanup leaves edits separated by long equalities and tags alone', () => {
+  for (const cleanup of ['none', 'semantic', 'efficiency']) {
+    assert.deepStrictEqual(operations({ cleanup }, 'The cat', 'The hat'),
+      [['equal', 'The ', 'The '], ['replace', 'c', 'h'], ['equal', 'at', 'at']], cleanup);
+    assert.deepStrictEqual(operations({ cleanup }, 'a<b>X</b>c', '1<b>X</b>2'),
+      [['replace', 'a', '1'], ['equal', '<b>X</b>', '<b>X</b>'], ['replace', 'c', '2']], cleanup);
+  }
+});
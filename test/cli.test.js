@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '../bin/htmldiff.js');
+
+const htmldiff = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+test('compares two files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'htmldiff-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'a.html'), '<p>one two</p>');
+    fs.writeFileSync(path.join(dir, 'b.html'), '<p>one three</p>');
+    const result = htmldiff(path.join(dir, 'a.html'), path.join(dir, 'b.html'));
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /<del[^>]*>two<\/del><ins[^>]*>three<\/ins>/);
+    assert.strictEqual(htmldiff(path.join(dir, 'a.html'), path.join(dir, 'a.html')).status, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('escapes file names in directory diffs', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'htmldiff-'));
+  try {
+    const name = '<img src=x onerror=alert(1)>.html';
+    for (const [side, text] of [['before', 'one'], ['after', 'two']]) {
+      fs.mkdirSync(path.join(dir, side));
+      fs.writeFileSync(path.join(dir, side, name), `<p>${text}</p>`);
+    }
+    const result = htmldiff(path.join(dir, 'before'), path.join(dir, 'after'));
+    assert.strictEqual(result.status, 1);
+    assert.doesNotMatch(result.stdout, /<img/);
+    assert.match(result.stdout, /<h2>&lt;img src=x onerror=alert\(1\)&gt;\.html<\/h2>/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
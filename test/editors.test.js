@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { HTMLDiff } = require('../src/main.js');
+const { changeRanges, domRanges, prosemirrorDecorations } = require('../src/editors.js');
+
+const differ = new HTMLDiff();
+
+const ranges = (before, after, target) => changeRanges(after, differ.diff(before, after), target);
+
+// Stand-ins for the prosemirror-view classes, recording what they are given
+const prosemirror = {
+  Decoration: {
+    inline: (from, to, attributes) => ({ type: 'inline', from, to, attributes }),
+    widget: (position, toDOM, spec) => ({ type: 'widget', position, spec })
+  },
+  DecorationSet: { create: (doc, decorations) => decorations }
+};
+
+const textDoc = (text, start = 1) => ({
+  descendants: visit => visit({ isText: true, text }, start)
+});
+
+test('changeRanges locates changes in the text content of the after HTML', () => {
+  assert.deepStrictEqual(ranges('<p>one two</p>', '<p>one <b>three</b> two</p>'),
+    [{ type: 'insert', from: 4, to: 10, text: 'three ' }]);
+  assert.deepStrictEqual(ranges('<p>one two</p>', '<p>one</p>'),
+    [{ type: 'delete', from: 3, to: 3, text: ' two' }]);
+});
+
+test('changeRanges decodes entities', () => {
+  assert.deepStrictEqual(ranges('<p>fish &amp; chips</p>', '<p>fish &amp; peas &lt;3</p>'), [
+    { type: 'delete', from: 7, to: 7, text: 'chips' },
+    { type: 'insert', from: 7, to: 14, text: 'peas <3' }
+  ]);
+});
+
+test('changeRanges aligns with editor text that collapsed or dropped whitespace', () => {
+  const before = '<p>a</p>\n\n  <p>b c</p>';
+  const after = '<p>a</p>\n\n  <p>b d</p>';
+  const expected = from => [
+    { type: 'delete', from, to: from, text: 'c' },
+    { type: 'insert', from, to: from + 1, text: 'd' }
+  ];
+  assert.deepStrictEqual(ranges(before, after, 'a\nb d'), expected(4));
+  assert.deepStrictEqual(ranges(before, after, 'ab d'), expected(3));
+});
+
+test('changeRanges uses source positions when the editor holds the source', () => {
+  assert.deepStrictEqual(ranges('one two', 'one three', 'one three'), [
+    { type: 'delete', from: 4, to: 4, text: 'two' },
+    { type: 'insert', from: 4, to: 9, text: 'three' }
+  ]);
+});
+
+test('domRanges maps changes to the text nodes of an element', () => {
+  const before = '<p>fish &amp;\n   chips</p>\n<p>and peas</p>';
+  const after = '<p>fish &amp;\n   chips</p>\n<p>and <b>mushy</b> peas</p>';
+  const { window } = new JSDOM('<div><p>fish &amp; chips</p><p>and <b>mushy</b> peas</p></div>');
+  const result = domRanges(window.document.querySelector('div'), after, differ.diff(before, after));
+  assert.deepStrictEqual(result.map(({ type, text, range }) => [type, text, range.toString()]),
+    [['insert', 'mushy ', 'mushy ']]);
+});
+
+test('prosemirrorDecorations maps changes to document positions', () => {
+  const decorations = prosemirrorDecorations(textDoc('one three'), 'one three', differ.diff('one two', 'one three'),
+    prosemirror);
+  assert.deepStrictEqual(decorations.map(({ type, from, to, position }) => [type, from ?? position, to]), [
+    ['widget', 5, undefined],
+    ['inline', 5, 10]
+  ]);
+});
+
+test('prosemirrorDecorations clamps changes past the document text and drops empty ones', () => {
+  const decorations = prosemirrorDecorations(textDoc('xyz'), 'xyz', differ.diff('xyz', 'xyz abc'), prosemirror);
+  assert.deepStrictEqual(decorations, []);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { HTMLDiff } = require('../src/main.js');
+
+// Runs the files the way <script> tags would, with no module system
+const loadScripts = (...files) => {
+  const context = vm.createContext({});
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../src', file), 'utf8'), context, { filename: file });
+  }
+  return context;
+};
+
+test('main.js loaded as a classic script sets globals', () => {
+  const context = loadScripts('main.js');
+  assert.strictEqual(typeof context.HTMLDiff, 'function');
+  assert.strictEqual(typeof context.htmldiff, 'function');
+  assert.strictEqual(typeof context.diffOutline, 'function');
+  assert.strictEqual(context.htmldiffToHTML('a b', 'a c'), new HTMLDiff().diffToHTML('a b', 'a c'));
+});
+
+test('editors.js loaded as a classic script uses the HTMLDiff global', () => {
+  const context = loadScripts('main.js', 'editors.js');
+  const ranges = vm.runInContext("htmldiffEditors.changeRanges('<p>a c</p>', htmldiff('<p>a b</p>', '<p>a c</p>'))", context);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(ranges)), [
+    { type: 'delete', from: 2, to: 2, text: 'b' },
+    { type: 'insert', from: 2, to: 3, text: 'c' }
+  ]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffHistory } = require('../src/main.js');
+
+const REVISIONS = [
+  { html: '<p>The cat sat.</p>', author: 'ana', timestamp: 1 },
+  { html: '<p>The black cat sat.</p>', author: 'ben', timestamp: 2 },
+  { html: '<p>The black cat sat down.</p>', author: 'cy', timestamp: 3 },
+  { html: '<p>The cat sat down.</p>', author: 'dee', timestamp: 4 }
+];
+
+const runs = segments => segments.map(({ text, rev, author, removed, removedRev }) =>
+  [text, rev, author, removed, removedRev]);
+
+test('every run of the last revision is attributed to the revision that wrote it', () => {
+  const { html, segments } = diffHistory(REVISIONS);
+  assert.strictEqual(html, '<p><span data-rev="0" data-author="ana">The cat sat</span>' +
+    '<span data-rev="2" data-author="cy"> down</span><span data-rev="0" data-author="ana">.</span></p>');
+  assert.deepStrictEqual(runs(segments), [
+    ['<p>The cat sat', 0, 'ana', false, undefined],
+    [' down', 2, 'cy', false, undefined],
+    ['.</p>', 0, 'ana', false, undefined]
+  ]);
+});
+
+test('removed runs keep the revision that wrote them and name the one that removed them', () => {
+  const { html, segments } = diffHistory(REVISIONS, { showDeleted: true });
+  assert.strictEqual(html, '<p><span data-rev="0" data-author="ana">The </span>' +
+    '<del data-rev="1" data-author="ben" data-removed-rev="3" data-removed-by="dee">black </del>' +
+    '<span data-rev="0" data-author="ana">cat sat</span><span data-rev="2" data-author="cy"> down</span>' +
+    '<span data-rev="0" data-author="ana">.</span></p>');
+  assert.deepStrictEqual(runs(segments)[1], ['black ', 1, 'ben', true, 3]);
+  assert.strictEqual(segments[1].removedAt, 4);
+});
+
+test('a single revision is attributed whole, and no revisions is an error', () => {
+  assert.deepStrictEqual(runs(diffHistory(REVISIONS.slice(0, 1)).segments), [['<p>The cat sat.</p>', 0, 'ana', false, undefined]]);
+  assert.throws(() => diffHistory([]), /diffHistory needs at least one revision/);
+});
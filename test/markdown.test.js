@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff, htmldiffToMarkdown } = require('../src/main.js');
+
+const BEFORE = '# Title\n\nSome *old* text here.\n- one\n- two\n';
+const AFTER = '# New title\n\nSome *new* text here.\n- one\n- three\n- four\n';
+
+test('diffToMarkdown marks changes with strikethrough and bold by default', () => {
+  assert.strictEqual(htmldiffToMarkdown(BEFORE, AFTER),
+    '# ~~Title~~**New title**\n\nSome *~~old~~**new*** text here.\n- one\n- ~~two~~**three**\n- **four**\n');
+});
+
+test('diffToMarkdown writes CriticMarkup', () => {
+  assert.strictEqual(htmldiffToMarkdown(BEFORE, AFTER, { style: 'critic' }),
+    '# {~~Title~>New title~~}\n\nSome *{~~old~>new~~}* text here.\n- one\n- {--two--}{++three++}\n- {++four++}\n');
+  assert.strictEqual(htmldiffToMarkdown('a b c', 'a c', { style: 'critic' }), 'a {--b--} c');
+  assert.strictEqual(htmldiffToMarkdown('a c', 'a b c', { style: 'critic' }), 'a {++b++} c');
+  // Deleted lines keep their line break and list marker so the list stays intact
+  assert.strictEqual(htmldiffToMarkdown('- one\n- two\n', '- one\n', { style: 'critic' }), '- one\n- {--two--}\n');
+});
+
+test('diffToMarkdown leaves identical input alone and rejects unknown styles', () => {
+  assert.strictEqual(htmldiffToMarkdown(AFTER, AFTER), AFTER);
+  assert.throws(() => htmldiffToMarkdown('a', 'b', { style: 'underline' }), /Unknown Markdown style: underline/);
+});
+
+test('HTML output of text and Markdown inputs is escaped', () => {
+  assert.strictEqual(new HTMLDiff({ format: 'text' }).diffToHTML('if a < b && c', 'if a > b && c'),
+    'if a <del data-change-id="c1ho2200">&lt;</del><ins data-change-id="c1ho2200">&gt;</ins> b &amp;&amp; c');
+  assert.strictEqual(new HTMLDiff({ format: 'text' }).diffToHTML('<script>alert(1)</script>', '<script>alert(2)</script>'),
+    '&lt;script&gt;alert(<del data-change-id="c11ebn0u">1</del><ins data-change-id="c11ebn0u">2</ins>)&lt;/script&gt;');
+  assert.strictEqual(new HTMLDiff({ format: 'markdown' }).diffToHTML('Use <b>x</b> here', 'Use <i>x</i> here'),
+    'Use &lt;<del data-change-id="c1c2dh8u">b</del><ins data-change-id="c1c2dh8u">i</ins>&gt;x&lt;/' +
+    '<del data-change-id="c1c2dh8u-2">b</del><ins data-change-id="c1c2dh8u-2">i</ins>&gt; here');
+});
+
+test('diff objects of text inputs hold the text as written', () => {
+  assert.deepStrictEqual(new HTMLDiff({ format: 'text' }).diff('a<b', 'a<c')
+    .map(({ type, text, oldText, newText }) => [type, text ?? oldText, newText]), [
+    ['equal', 'a<', undefined],
+    ['replace', 'b', 'c']
+  ]);
+});
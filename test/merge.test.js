@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+test('merge3 takes non-overlapping edits from both sides', () => {
+  const result = new HTMLDiff().merge3('<p>one two three</p>', '<p>one 2 three</p>', '<p>one two 3</p>');
+  assert.deepStrictEqual(result, { html: '<p>one 2 3</p>', clean: true, conflicts: [] });
+});
+
+test('merge3 reports conflicting edits', () => {
+  const result = new HTMLDiff().merge3('<p>one</p>', '<p>ours</p>', '<p>theirs</p>');
+  assert.strictEqual(result.clean, false);
+  assert.strictEqual(result.conflicts.length, 1);
+  assert.strictEqual(result.conflicts[0].ours, 'ours');
+  assert.strictEqual(result.conflicts[0].theirs, 'theirs');
+});
+
+test('merge3 keeps edits that comparison options ignore', () => {
+  const base = '<p>Hello world</p>';
+  assert.strictEqual(new HTMLDiff({ ignoreCase: true }).merge3(base, base, '<p>hello world</p>').html,
+    '<p>hello world</p>');
+  assert.strictEqual(new HTMLDiff({ ignoreWhitespace: true }).merge3(base, '<p>Hello  world</p>', base).html,
+    '<p>Hello  world</p>');
+  assert.strictEqual(new HTMLDiff({ detectMoves: true }).merge3(base, base, '<p>world Hello</p>').html,
+    '<p>world Hello</p>');
+});
+
+test('conflicts are wrapped in an element that fits their parent', () => {
+  const differ = new HTMLDiff();
+  const list = differ.merge3('<ul><li>one</li></ul>', '<ul><li>one</li><li>ours</li></ul>', '<ul><li>one</li><li>theirs</li></ul>');
+  assert.strictEqual(list.conflicts[0].parent, 'ul');
+  assert.strictEqual(list.html, '<ul><li>one</li><li class="conflict" data-conflict="0">' +
+    '<ul class="conflict-ours"><li>ours</li></ul><ul class="conflict-theirs"><li>theirs</li></ul></li></ul>');
+
+  const rows = differ.merge3('<table><tr><td>a</td></tr></table>',
+    '<table><tr><td>a</td></tr><tr><td>b</td></tr></table>', '<table><tr><td>a</td></tr><tr><td>c</td></tr></table>');
+  assert.strictEqual(rows.html, '<table><tr><td>a</td></tr><tr class="conflict" data-conflict="0">' +
+    '<td class="conflict-ours"><table><tr><td>b</td></tr></table></td>' +
+    '<td class="conflict-theirs"><table><tr><td>c</td></tr></table></td></tr></table>');
+
+  const cells = differ.merge3('<table><tr><td>a</td></tr></table>',
+    '<table><tr><td>a</td><td>b</td></tr></table>', '<table><tr><td>a</td><td>c</td></tr></table>');
+  assert.strictEqual(cells.html, '<table><tr><td>a</td><td class="conflict" data-conflict="0"><table>' +
+    '<tr class="conflict-ours"><td>b</td></tr><tr class="conflict-theirs"><td>c</td></tr></table></td></tr></table>');
+
+  const text = differ.merge3('<ul><li>one</li></ul>', '<ul><li>ours</li></ul>', '<ul><li>theirs</li></ul>');
+  assert.strictEqual(text.conflicts[0].parent, 'li');
+  assert.strictEqual(text.html, '<ul><li><span class="conflict" data-conflict="0">' +
+    '<span class="conflict-ours">ours</span><span class="conflict-theirs">theirs</span></span></li></ul>');
+
+  const blocks = differ.merge3('<p>x</p>', '<p>x</p><p>ours</p>', '<p>x</p><p>theirs</p>');
+  assert.strictEqual(blocks.conflicts[0].parent, null);
+  assert.strictEqual(blocks.html, '<p>x</p><div class="conflict" data-conflict="0">' +
+    '<div class="conflict-ours"><p>ours</p></div><div class="conflict-theirs"><p>theirs</p></div></div>');
+});
+
+test('custom conflict renderers get the parent element', () => {
+  const result = new HTMLDiff().merge3('<ol><li>one</li></ol>', '<ol><li>one</li><li>a</li></ol>', '<ol><li>one</li><li>b</li></ol>',
+    { renderConflict: ({ parent, ours }) => `<!-- conflict in ${parent} -->${ours}` });
+  assert.strictEqual(result.html, '<ol><li>one</li><!-- conflict in ol --><li>a</li></ol>');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const CATS = '<p>Cats sleep most of the day in warm places.</p>';
+const RIVERS = '<p>Rivers carry water down to the sea.</p>';
+
+const summary = changes => changes.map(({ type, moveId, text, oldText, newText }) =>
+  [type, moveId, text ?? oldText, newText]);
+
+test('moved paragraphs become one move with positions on both sides', () => {
+  const changes = new HTMLDiff({ detectMoves: true }).diff(CATS + RIVERS, RIVERS + CATS);
+  assert.deepStrictEqual(summary(changes), [
+    ['move', 'move-1', RIVERS, undefined],
+    ['equal', undefined, CATS, undefined]
+  ]);
+  const [move] = changes;
+  assert.strictEqual(move.beforeStartPosition, CATS.length);
+  assert.strictEqual(move.afterStartPosition, 0);
+  assert.deepStrictEqual(move.changes, []);
+});
+
+test('moves render as a linked deletion and insertion', () => {
+  const html = new HTMLDiff({ detectMoves: true }).diffToHTML(CATS + RIVERS, RIVERS + CATS);
+  assert.strictEqual(html, '<p><ins class="diff-move-to" data-move-id="move-1" data-change-id="cvpm7t6">' +
+    'Rivers carry water down to the sea.</ins></p>' + CATS +
+    '<p><del class="diff-move-from" data-move-id="move-1" data-change-id="cvpm7t6">' +
+    'Rivers carry water down to the sea.</del></p>');
+});
+
+test('blocks edited on the way are moves down to the move threshold', () => {
+  const after = RIVERS.replace('the sea', 'the open sea') + CATS;
+  const [move] = new HTMLDiff({ detectMoves: true }).diff(CATS + RIVERS, after);
+  assert.strictEqual(move.type, 'move');
+  assert.deepStrictEqual(move.changes.map(({ type, text }) => [type, text]), [['insert', 'open ']]);
+  assert.deepStrictEqual(summary(new HTMLDiff({ detectMoves: true, moveThreshold: 0.95 }).diff(CATS + RIVERS, after)), [
+    ['insert', undefined, RIVERS.replace('the sea', 'the open sea'), undefined],
+    ['equal', undefined, CATS, undefined],
+    ['delete', undefined, RIVERS, undefined]
+  ]);
+});
+
+test('blocks shorter than the minimum move length stay insertions and deletions', () => {
+  const changes = new HTMLDiff({ detectMoves: true, minMoveLength: 50 }).diff(CATS + RIVERS, RIVERS + CATS);
+  assert.deepStrictEqual(changes.map(change => change.type), ['insert', 'equal', 'delete']);
+});
+
+test('moves are found with ignore options', () => {
+  const shouted = RIVERS.replace(/>(.*)</, (tag, text) => `>${text.toUpperCase()}<`);
+  assert.deepStrictEqual(summary(new HTMLDiff({ detectMoves: true, ignoreCase: true }).diff(CATS + RIVERS, shouted + CATS)), [
+    ['move', 'move-1', shouted, undefined],
+    ['equal', undefined, CATS, undefined]
+  ]);
+});
+
+test('boundaries do not slide through equalities the ignore options made', () => {
+  // ' b     a <b>b' matches '<b>a<b>' only once whitespace is ignored, so the
+  // two sides of that equality have different token counts
+  const before = ' b     a <b>b';
+  const after = '<b>a<b>a<b>b</b>';
+  assert.deepStrictEqual(summary(new HTMLDiff({ detectMoves: true, ignoreWhitespace: true }).diff(before, after)), [
+    ['replace', undefined, ' b     ', '<b>'],
+    ['equal', undefined, 'a<b>', undefined],
+    ['insert', undefined, 'a<b>', undefined],
+    ['equal', undefined, 'b', undefined],
+    ['insert', undefined, '</b>', undefined]
+  ]);
+});
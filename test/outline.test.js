@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffOutline } = require('../src/main.js');
+
+const BEFORE = '<p>Lead.</p><h1>Guide</h1><p>Intro.</p><h2>Install</h2><p>Run npm.</p>' +
+  '<h3>Linux</h3><p>Use apt.</p><h2>Usage</h2><p>Call it.</p><p>Twice.</p>';
+const AFTER = BEFORE.replace('Run npm.', 'Run npm install.');
+
+const outline = sections => sections.map(({ id, level, title, counts, changes }) =>
+  [id, level, title, counts.inserted + counts.deleted + counts.replaced + counts.moved, changes.map(change => change.anchor)]);
+
+test('sections follow the headings, with the changes made in each', () => {
+  const { sections } = diffOutline(BEFORE, AFTER);
+  assert.deepStrictEqual(outline(sections), [
+    ['diff-section-0', 0, '', 0, []],
+    ['diff-section-1', 1, 'Guide', 0, []],
+    ['diff-section-2', 2, 'Install', 1, ['diff-c10ut1fv']],
+    ['diff-section-3', 3, 'Linux', 0, []],
+    ['diff-section-4', 2, 'Usage', 0, []]
+  ]);
+  assert.deepStrictEqual(sections[2].counts, { inserted: 1, deleted: 0, replaced: 0, moved: 0 });
+  assert.strictEqual(sections[2].changes[0].text, ' install');
+  assert.strictEqual(sections[2].changes[0].changeId, 'c10ut1fv');
+});
+
+test('the table of contents links every section and change', () => {
+  assert.strictEqual(diffOutline(BEFORE, AFTER).toc, [
+    '<nav class="diff-toc"><ul>',
+    '<li class="diff-toc-h0"><a href="#diff-section-0">Start of document</a> <span class="diff-toc-count">unchanged</span></li>',
+    '<li class="diff-toc-h1"><a href="#diff-section-1">Guide</a> <span class="diff-toc-count">unchanged</span></li>',
+    '<li class="diff-toc-h2"><a href="#diff-section-2">Install</a> <span class="diff-toc-count">1 change</span>' +
+      '<ul><li><a href="#diff-c10ut1fv">Inserted: install</a></li></ul></li>',
+    '<li class="diff-toc-h3"><a href="#diff-section-3">Linux</a> <span class="diff-toc-count">unchanged</span></li>',
+    '<li class="diff-toc-h2"><a href="#diff-section-4">Usage</a> <span class="diff-toc-count">unchanged</span></li>',
+    '</ul></nav>'
+  ].join('\n'));
+});
+
+test('unchanged sections are folded and anchors mark sections and changes', () => {
+  const { html } = diffOutline(BEFORE, AFTER);
+  assert.strictEqual(html, '<a id="diff-section-0" class="diff-anchor"></a>' +
+    '<details class="diff-unchanged"><summary>1 unchanged paragraph</summary><p>Lead.</p></details>' +
+    '<a id="diff-section-1" class="diff-anchor"></a><h1>Guide</h1>' +
+    '<details class="diff-unchanged"><summary>1 unchanged paragraph</summary><p>Intro.</p></details>' +
+    '<a id="diff-section-2" class="diff-anchor"></a><h2>Install</h2>' +
+    '<p>Run npm<a id="diff-c10ut1fv" class="diff-anchor"></a><ins data-change-id="c10ut1fv"> install</ins>.</p>' +
+    '<a id="diff-section-3" class="diff-anchor"></a><h3>Linux</h3>' +
+    '<details class="diff-unchanged"><summary>1 unchanged paragraph</summary><p>Use apt.</p></details>' +
+    '<a id="diff-section-4" class="diff-anchor"></a><h2>Usage</h2>' +
+    '<details class="diff-unchanged"><summary>2 unchanged paragraphs</summary><p>Call it.</p><p>Twice.</p></details>');
+});
+
+test('anchor prefixes apply to every anchor and unchanged sections can stay unfolded', () => {
+  const { html, toc } = diffOutline(BEFORE, AFTER, { collapseUnchanged: false, anchorPrefix: 'x-' });
+  assert.ok(!html.includes('<details'));
+  assert.ok(html.startsWith('<a id="x-section-0" class="diff-anchor"></a><p>Lead.</p>'));
+  assert.ok(toc.includes('<a href="#x-c10ut1fv">Inserted: install</a>'));
+});
+
+test('sections are titled by the after headings', () => {
+  const before = '<h1>Guide</h1><p>Intro.</p><h2>Usage</h2><p>Call it.</p>';
+  const after = '<h1>Guide</h1><p>Intro.</p><h2>Using it</h2><p>Call it.</p>';
+  assert.deepStrictEqual(diffOutline(before, after).sections.map(({ title, changes }) =>
+    [title, changes.map(({ type, oldText, newText }) => [type, oldText, newText])]), [
+    ['Guide', []],
+    ['Using it', [['replace', 'Usage', 'Using it']]]
+  ]);
+});
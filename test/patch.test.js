@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const BEFORE = '<p>The quick brown fox jumps over the lazy dog.</p>';
+const AFTER = '<p>The quick red fox jumps over the lazy cat.</p>';
+
+test('patches round-trip whatever the position unit', () => {
+  const before = '😀😀 hello there';
+  const after = '😀😀 hello world';
+  for (const positionUnit of ['utf16', 'codepoint', 'grapheme']) {
+    const differ = new HTMLDiff({ positionUnit });
+    const patch = differ.createPatch(before, after);
+    assert.deepStrictEqual(patch.hunks.map(hunk => hunk.position), [11], positionUnit);
+    const result = differ.applyPatch(before, patch, { fuzzy: false });
+    assert.deepStrictEqual(result.conflicts, [], positionUnit);
+    assert.strictEqual(result.text, after, positionUnit);
+  }
+});
+
+test('patches reproduce changes that comparison options ignore', () => {
+  const differ = new HTMLDiff({ ignoreCase: true, ignoreWhitespace: true });
+  const before = '<p>Hello  world</p>';
+  const after = '<p>hello world</p>';
+  assert.strictEqual(differ.applyPatch(before, differ.createPatch(before, after)).text, after);
+});
+
+test('patches apply exactly to the text they were made from', () => {
+  const differ = new HTMLDiff();
+  const patch = differ.createPatch(BEFORE, AFTER);
+  assert.deepStrictEqual(patch.hunks.map(({ position, deleted, inserted }) => [position, deleted, inserted]),
+    [[13, 'brown', 'red'], [43, 'dog', 'cat']]);
+  assert.deepStrictEqual(differ.applyPatch(BEFORE, patch, { fuzzy: false }),
+    { text: AFTER, applied: [true, true], conflicts: [] });
+});
+
+test('fuzzy application finds hunks that moved or whose context changed', () => {
+  const differ = new HTMLDiff();
+  const patch = differ.createPatch(BEFORE, AFTER);
+  assert.strictEqual(differ.applyPatch(`<h1>Title</h1>${BEFORE}`, patch).text, `<h1>Title</h1>${AFTER}`);
+  assert.strictEqual(differ.applyPatch(BEFORE.replace('The', 'A'), patch).text, AFTER.replace('The', 'A'));
+  // Without fuzz, or beyond the drift allowed, shifted hunks are conflicts
+  assert.deepStrictEqual(differ.applyPatch(`<h1>Title</h1>${BEFORE}`, patch, { fuzzy: false }).applied, [false, false]);
+  assert.deepStrictEqual(differ.applyPatch(`<h1>Title</h1>${BEFORE}`, patch, { maxDrift: 5 }).applied, [false, false]);
+});
+
+test('hunks whose text is gone are rejected and the others still apply', () => {
+  const differ = new HTMLDiff();
+  const patch = differ.createPatch(BEFORE, AFTER);
+  const result = differ.applyPatch(BEFORE.replace('dog', 'cow'), patch);
+  assert.strictEqual(result.text, AFTER.replace('cat', 'cow'));
+  assert.deepStrictEqual(result.applied, [true, false]);
+  assert.deepStrictEqual(result.conflicts.map(({ index, reason }) => [index, reason]), [[1, 'Hunk context not found']]);
+  assert.throws(() => differ.applyPatch(BEFORE, { version: 2, hunks: [] }), /Unsupported patch format/);
+});
+
+test('inverted patches undo the original', () => {
+  const differ = new HTMLDiff();
+  for (const [before, after] of [[BEFORE, AFTER], ['<p>a</p>', '<p>a</p><p>b</p>'], ['<ul><li>x</li></ul>', '']]) {
+    const patch = differ.createPatch(before, after);
+    const inverse = differ.invertPatch(patch);
+    assert.strictEqual(differ.applyPatch(after, inverse, { fuzzy: false }).text, before);
+    assert.deepStrictEqual(differ.invertPatch(inverse), patch);
+  }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+// Edits with one empty side that an ignore option turns into equal operations
+const IGNORED_EDITS = [
+  [{ ignoreWhitespace: true }, ' ', ''],
+  [{ ignoreTags: true }, '<p></p>', ''],
+  [{ ignorePunctuation: true }, '', '.']
+];
+
+test('empty ranges get point positions ending before they start', () => {
+  const [equal] = new HTMLDiff({ ignoreTags: true }).diff('<p></p>', '');
+  assert.strictEqual(equal.type, 'equal');
+  assert.strictEqual(equal.afterStartPosition, 0);
+  assert.strictEqual(equal.afterEndPosition, -1);
+  assert.strictEqual(equal.afterStartLine, 1);
+  assert.strictEqual(equal.afterStartColumn, 1);
+  assert.strictEqual(equal.afterEndLine, 1);
+  assert.strictEqual(equal.afterEndColumn, 0);
+  assert.strictEqual(equal.beforeEndPosition, 6);
+});
+
+test('diff, diffAsync and diffOutline accept edits that ignore options make equal', async () => {
+  for (const [options, before, after] of IGNORED_EDITS) {
+    const differ = new HTMLDiff(options);
+    const changes = differ.diff(before, after);
+    assert.ok(changes.every(change => change.type === 'equal'), JSON.stringify(options));
+    assert.deepStrictEqual(await differ.diffAsync(before, after), changes);
+    assert.ok(differ.diffOutline(before, after));
+  }
+});
+
+test('positions count the configured units', () => {
+  const after = '😀😀 hello world';
+  for (const [positionUnit, start] of [['utf16', 11], ['codepoint', 9], ['grapheme', 9]]) {
+    const [, change] = new HTMLDiff({ positionUnit }).diff('😀😀 hello there', after);
+    assert.strictEqual(change.afterStartPosition, start, positionUnit);
+  }
+});
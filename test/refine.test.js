@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+// Replacements as [oldText, newText, changes as [type, old or only text, new text, before and after position]]
+const refinements = (options, before, after) => new HTMLDiff({ refine: true, ...options }).diff(before, after)
+  .filter(change => change.type === 'replace')
+  .map(({ oldText, newText, changes }) => [oldText, newText, changes && changes.map(change =>
+    [change.type, change.text ?? change.oldText, change.newText, change.beforeStartPosition, change.afterStartPosition])]);
+
+test('refined replacements list their character changes at document positions', () => {
+  assert.deepStrictEqual(refinements({}, '<p>The colour is grey.</p>', '<p>The color is gray.</p>'), [
+    ['colour', 'color', [['delete', 'u', undefined, 11, undefined]]],
+    ['grey', 'gray', [['replace', 'e', 'a', 19, 18]]]
+  ]);
+  assert.deepStrictEqual(refinements({}, 'The kitten sat.', 'The kitchen sat.'),
+    [['kitten', 'kitchen', [['replace', 't', 'ch', 7, 7]]]]);
+});
+
+test('replacements below the refine threshold are not refined', () => {
+  assert.deepStrictEqual(refinements({}, '<p>The cat sat.</p>', '<p>The dog sat.</p>'), [['cat', 'dog', undefined]]);
+  // 'kitten' and 'kitchen' share 10 of their 13 characters
+  assert.deepStrictEqual(refinements({ refineThreshold: 0.76 }, 'The kitten sat.', 'The kitchen sat.'),
+    [['kitten', 'kitchen', [['replace', 't', 'ch', 7, 7]]]]);
+  assert.deepStrictEqual(refinements({ refineThreshold: 0.77 }, 'The kitten sat.', 'The kitchen sat.'),
+    [['kitten', 'kitchen', undefined]]);
+  assert.deepStrictEqual(refinements({ refine: false }, 'The kitten sat.', 'The kitchen sat.'),
+    [['kitten', 'kitchen', undefined]]);
+});
+
+test('replacements holding markup are not refined', () => {
+  const changes = new HTMLDiff({ refine: true }).diff('<p>a <b>kitten</b></p>', '<p>a <i>kitchen</i></p>');
+  assert.ok(changes.every(change => change.changes === undefined));
+});
+
+test('refined replacements render the changed characters', () => {
+  assert.strictEqual(new HTMLDiff({ refine: true }).diffToHTML('<p>The kitten sat.</p>', '<p>The kitchen sat.</p>'),
+    '<p>The kit<del class="diff-intraword" data-change-id="c1hiqlcu">t</del>' +
+    '<ins class="diff-intraword" data-change-id="c1hiqlcu">ch</ins>en sat.</p>');
+  assert.strictEqual(new HTMLDiff({ refine: true }).diffToHTML('<p>The cat sat.</p>', '<p>The dog sat.</p>'),
+    '<p>The <del data-change-id="c1lnoa5h">cat</del><ins data-change-id="c1lnoa5h">dog</ins> sat.</p>');
+});
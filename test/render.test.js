@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const differ = new HTMLDiff();
+
+// Change IDs are content hashes; most tests do not need them
+const withoutIds = html => html.replace(/ data-change-id="[^"]*"/g, '');
+
+test('inline output wraps deletions and insertions', () => {
+  assert.strictEqual(withoutIds(differ.diffToHTML('<p>one two</p>', '<p>one three</p>')),
+    '<p>one <del>two</del><ins>three</ins></p>');
+  assert.strictEqual(
+    withoutIds(differ.diffToHTML('<p>one two</p>', '<p>one three</p>', {
+      order: 'ins-first', tags: { insert: 'span', delete: 's' }, classNames: { insert: 'a', delete: 'b' }
+    })),
+    '<p>one <span class="a">three</span><s class="b">two</s></p>');
+});
+
+test('both halves of a change share its change ID', () => {
+  const html = differ.diffToHTML('<p>one two</p>', '<p>one three</p>');
+  const ids = [...html.matchAll(/data-change-id="([^"]*)"/g)].map(match => match[1]);
+  assert.strictEqual(ids.length, 2);
+  assert.strictEqual(ids[0], ids[1]);
+});
+
+test('openTag builds the opening tags, and false leaves changes out', () => {
+  assert.strictEqual(
+    differ.diffToHTML('<p>one two</p>', '<p>one three</p>', {
+      openTag: ({ type, index }) => `<mark data-index="${index}" class="${type}">`
+    }),
+    '<p>one <mark data-index="0" class="delete">two</mark><mark data-index="0" class="insert">three</mark></p>');
+  assert.strictEqual(
+    withoutIds(differ.diffToHTML('<p>one two four</p>', '<p>one three four five</p>', {
+      openTag: ({ type }) => (type === 'delete' ? false : null)
+    })),
+    '<p>one <ins>three</ins> four<ins> five</ins></p>');
+});
+
+test('side-by-side output has a row per block, with changed rows marked', () => {
+  assert.strictEqual(withoutIds(differ.diffToSideBySide('<p>same</p>\n<p>x</p>', '<p>same</p>\n<p>y</p>')),
+    '<table class="diff-side-by-side">\n' +
+    '<tr><td class="diff-before"><p>same</p></td><td class="diff-after"><p>same</p></td></tr>\n' +
+    '<tr class="diff-changed"><td class="diff-before"><p><del>x</del></p></td>' +
+    '<td class="diff-after"><p><ins>y</ins></p></td></tr>\n' +
+    '</table>');
+});
+
+test('unified output has file headers, hunk headers and context lines', () => {
+  const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+  const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nJ\n';
+  assert.strictEqual(differ.diffToUnified(before, after, { context: 2 }),
+    '--- before\n+++ after\n@@ -1,4 +1,4 @@\n a\n-b\n+B\n c\n d\n@@ -8,3 +8,3 @@\n h\n i\n-j\n+J\n');
+  // Hunks closer than twice the context are joined
+  assert.strictEqual(differ.diffToUnified(before, after, { context: 4 }).match(/^@@/gm).length, 1);
+});
+
+test('unified hunk headers follow diff(1) for single lines, empty sides and missing newlines', () => {
+  assert.strictEqual(differ.diffToUnified('a\n', 'b\n', { fromFile: 'x.html', toFile: 'y.html' }),
+    '--- x.html\n+++ y.html\n@@ -1 +1 @@\n-a\n+b\n');
+  assert.strictEqual(differ.diffToUnified('', 'b\n'), '--- before\n+++ after\n@@ -0,0 +1 @@\n+b\n');
+  assert.strictEqual(differ.diffToUnified('a\nb', 'a\nc'),
+    '--- before\n+++ after\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+c\n\\ No newline at end of file\n');
+  assert.strictEqual(differ.diffToUnified('a\n', 'a\n'), '');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { HTMLDiff } = require('../src/main.js');
+const { reviewChanges } = require('../src/review.js');
+
+const BEFORE = '<p>The cat sat on the mat.</p>';
+const AFTER = '<p>The dog sat on the rug today.</p>';
+// data-change-id of 'cat' -> 'dog' and of 'mat' -> 'rug today'
+const PET = 'c1lnoa5h';
+const RUG = 'cywwdm6';
+
+const differ = new HTMLDiff();
+
+test('resolveChanges applies accepted and rejected changes and leaves the others marked', () => {
+  assert.strictEqual(differ.resolveChanges(BEFORE, AFTER), differ.diffToHTML(BEFORE, AFTER));
+  assert.strictEqual(differ.resolveChanges(BEFORE, AFTER, { [PET]: 'accept', [RUG]: 'reject' }), '<p>The dog sat on the mat.</p>');
+  assert.strictEqual(differ.resolveChanges(BEFORE, AFTER, { [PET]: 'reject', [RUG]: 'accept', gone: 'accept' }),
+    '<p>The cat sat on the rug today.</p>');
+  assert.strictEqual(differ.resolveChanges(BEFORE, AFTER, { [PET]: 'accept' }),
+    `<p>The dog sat on the <del data-change-id="${RUG}">mat</del><ins data-change-id="${RUG}">rug today</ins>.</p>`);
+});
+
+test('resolveChanges rejects unknown decisions and the tree mode', () => {
+  assert.throws(() => differ.resolveChanges(BEFORE, AFTER, { [PET]: 'maybe' }), /Unknown decision for c1lnoa5h: maybe/);
+  assert.throws(() => new HTMLDiff({ mode: 'tree' }).resolveChanges(BEFORE, AFTER), /resolveChanges needs the flat mode/);
+});
+
+test('reviewChanges turns clicks on rendered changes into decisions', () => {
+  const { window } = new JSDOM(`<div id="diff">${differ.diffToHTML(BEFORE, AFTER)}</div><p id="outside"></p>`);
+  const root = window.document.getElementById('diff');
+  const click = selector => window.document.querySelector(selector)
+    .dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+  const seen = [];
+  const review = reviewChanges(root, { decisions: { [RUG]: 'reject' }, onChange: decisions => seen.push(decisions) });
+
+  assert.ok(root.querySelector(`del[data-change-id="${RUG}"]`).classList.contains('diff-rejected'));
+  click(`ins[data-change-id="${PET}"]`);
+  click(`ins[data-change-id="${RUG}"]`);
+  assert.deepStrictEqual(review.decisions, { [PET]: 'accept', [RUG]: 'accept' });
+  assert.ok(root.querySelector(`ins[data-change-id="${PET}"]`).classList.contains('diff-accepted'));
+  assert.ok(!root.querySelector(`del[data-change-id="${RUG}"]`).classList.contains('diff-rejected'));
+
+  // Clicking the same side again clears the decision; clicks elsewhere are ignored
+  click(`ins[data-change-id="${PET}"]`);
+  click('#outside');
+  click('p');
+  assert.deepStrictEqual(review.decisions, { [RUG]: 'accept' });
+  assert.deepStrictEqual(seen, [{ [RUG]: 'reject', [PET]: 'accept' }, { [RUG]: 'accept', [PET]: 'accept' }, { [RUG]: 'accept' }]);
+  assert.strictEqual(differ.resolveChanges(BEFORE, AFTER, review.decisions),
+    `<p>The <del data-change-id="${PET}">cat</del><ins data-change-id="${PET}">dog</ins> sat on the rug today.</p>`);
+
+  review.destroy();
+  click(`del[data-change-id="${PET}"]`);
+  assert.deepStrictEqual(review.decisions, { [RUG]: 'accept' });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff, diffTextToHTML, htmldiffToHTML } = require('../src/main.js');
+
+const differ = new HTMLDiff();
+
+test('isSafeURL rejects script and non-image data URLs', () => {
+  for (const url of ['javascript:alert(1)', ' JaVaScRiPt:alert(1)', 'java\tscript:alert(1)',
+    'java\u0000script:alert(1)', 'vbscript:msgbox(1)', 'data:text/html,<script>alert(1)</script>',
+    'data:image/svg+xml,<svg onload=alert(1)>']) {
+    assert.strictEqual(differ.isSafeURL(url, 'href'), false, url);
+    assert.strictEqual(differ.isSafeURL(url, 'src'), false, url);
+  }
+});
+
+test('isSafeURL keeps web URLs, relative URLs and data images in src', () => {
+  for (const url of ['https://example.com/', 'http://example.com/', 'mailto:a@example.com', 'tel:123',
+    '/path', '#fragment', 'page.html?time=12:00']) {
+    assert.strictEqual(differ.isSafeURL(url, 'href'), true, url);
+  }
+  assert.strictEqual(differ.isSafeURL('data:image/png;base64,AAAA', 'src'), true);
+  assert.strictEqual(differ.isSafeURL('data:image/png;base64,AAAA', 'href'), false);
+});
+
+test('sanitizeHTML drops unsafe URLs, including entity-obfuscated ones', () => {
+  assert.strictEqual(differ.sanitizeHTML('<a href="javascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.strictEqual(differ.sanitizeHTML('<a href="&#106;avascript:alert(1)">x</a>'), '<a>x</a>');
+  assert.strictEqual(differ.sanitizeHTML('<a href="java&#x09;script:alert(1)">x</a>'), '<a>x</a>');
+  // Entities that are not decoded are escaped, so the browser does not decode them either
+  assert.strictEqual(differ.sanitizeHTML('<a href="jav&Tab;ascript:alert(1)">x</a>'),
+    '<a href="jav&amp;Tab;ascript:alert(1)">x</a>');
+  assert.strictEqual(differ.sanitizeHTML('<a href="data:text/html,x">x</a>'), '<a>x</a>');
+  assert.strictEqual(differ.sanitizeHTML('<a href="/page?a=1&amp;b=2">x</a>'), '<a href="/page?a=1&amp;b=2">x</a>');
+});
+
+test('sanitizeHTML drops event handlers and unknown attributes', () => {
+  assert.strictEqual(differ.sanitizeHTML('<p onclick="alert(1)" class="note">text</p>'), '<p class="note">text</p>');
+  assert.strictEqual(differ.sanitizeHTML('<img src="x.png" onerror="alert(1)" style="x">'), '<img src="x.png">');
+  assert.strictEqual(differ.sanitizeHTML('<img src=x onerror=alert(1)>'), '<img src="x">');
+});
+
+test('sanitizeHTML drops script, style and svg elements with their content', () => {
+  assert.strictEqual(differ.sanitizeHTML('a<script>alert(1)</script>b'), 'ab');
+  assert.strictEqual(differ.sanitizeHTML('a<SCRIPT src="x.js"></SCRIPT>b'), 'ab');
+  assert.strictEqual(differ.sanitizeHTML('a<style>body { display: none }</style>b'), 'ab');
+  assert.strictEqual(differ.sanitizeHTML('a<svg onload="alert(1)"><a href="x">q</a></svg>b'), 'ab');
+  assert.strictEqual(differ.sanitizeHTML('a<iframe src="https://example.com"></iframe>b'), 'ab');
+});
+
+test('sanitizeHTML drops comments and unknown tags but keeps their text', () => {
+  assert.strictEqual(differ.sanitizeHTML('a<!-- note -->b'), 'ab');
+  assert.doesNotMatch(differ.sanitizeHTML('a<!-- <script>alert(1)</script> -->b'), /</);
+  assert.strictEqual(differ.sanitizeHTML('<custom-element>text</custom-element>'), 'text');
+  assert.strictEqual(differ.sanitizeHTML('<p>1 &gt; 0</p>'), '<p>1 &gt; 0</p>');
+});
+
+test('sanitizeHTML escapes everything in escape mode', () => {
+  assert.strictEqual(differ.sanitizeHTML('<b title="x">a & b</b>', 'escape'),
+    '&lt;b title=&quot;x&quot;&gt;a &amp; b&lt;/b&gt;');
+});
+
+test('diffToHTML sanitises both inputs with the allowlist', () => {
+  const html = htmldiffToHTML('<p>a</p>', '<p>b<img src=x onerror=alert(1)><script>alert(1)</script></p>',
+    { render: { sanitize: 'allowlist' } });
+  assert.doesNotMatch(html, /onerror|script|alert/);
+  assert.match(html, /<img src="x">/);
+});
+
+test('diffToHTML escapes both inputs in escape mode', () => {
+  const html = htmldiffToHTML('<p>a</p>', '<p>b<script>alert(1)</script></p>', { render: { sanitize: 'escape' } });
+  assert.doesNotMatch(html, /<script|<p>/);
+  assert.match(html, /&lt;script&gt;/);
+});
+
+test('diffTextToHTML escapes every input character', () => {
+  const html = diffTextToHTML('a & b', 'a & <b onclick="alert(1)">');
+  assert.doesNotMatch(html, /<b|"alert/);
+  const afterText = html.replace(/<del[^>]*>.*?<\/del>/g, '').replace(/<\/?ins[^>]*>/g, '');
+  assert.strictEqual(afterText, 'a &amp; &lt;b onclick=&quot;alert(1)&quot;&gt;');
+});
+
+test('diffToHTML rejects unknown sanitize modes', () => {
+  assert.throws(() => differ.diffToHTML('a', 'b', { sanitize: 'strict' }), /Unknown sanitize mode: strict/);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffStats } = require('../src/main.js');
+
+test('diffStats counts words, not tokens', () => {
+  const before = '<p>The quick brown fox &amp; co.</p>';
+  const after = '<p>The slow brown dog &amp; co, jumps.</p>';
+  for (const granularity of ['word', 'sentence', 'line']) {
+    const { words, markup } = diffStats(before, after, { granularity });
+    assert.strictEqual(words.inserted + words.unchanged, 6, granularity);
+    assert.strictEqual(words.deleted + words.unchanged, 5, granularity);
+    assert.strictEqual(markup.words.unchanged, 0, granularity);
+  }
+  assert.deepStrictEqual(diffStats('<p>one</p>', '<p>one two</p>', { granularity: 'char' }).words,
+    { inserted: 1, deleted: 0, replaced: 0, unchanged: 1 });
+});
+
+test('diffStats finds words in scripts without spaces', () => {
+  const { words } = diffStats('<p>日本語のテキスト</p>', '<p>日本語の文章</p>', { locale: 'ja' });
+  assert.ok(words.unchanged >= 1);
+  assert.ok(words.inserted >= 1 && words.deleted >= 1);
+});
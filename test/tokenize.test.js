@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const words = count => Array.from({ length: count }, (_, i) => `word${i % 97}`).join(' ');
+
+test('tokens cover the input exactly', () => {
+  const html = '<p>Hello, <b>big</b> world! 3.5 e.g. don\'t 👍🏽 日本語のテキスト</p>';
+  for (const granularity of ['char', 'word', 'sentence', 'line']) {
+    assert.strictEqual(new HTMLDiff({ granularity }).htmlToTokens(html).join(''), html, granularity);
+  }
+});
+
+test('large inputs are segmented in linear time', () => {
+  const text = words(60000);
+  for (const options of [{ format: 'text' }, { granularity: 'char' }]) {
+    const started = Date.now();
+    const tokens = new HTMLDiff(options).htmlToTokens(text);
+    assert.strictEqual(tokens.join(''), text);
+    assert.ok(Date.now() - started < 5000, `${JSON.stringify(options)} took ${Date.now() - started} ms`);
+  }
+});
+
+test('segmenting in chunks finds the same boundaries as segmenting at once', () => {
+  const sample = 'Mr. Smith paid $3.50 for co-op shares, i.e. 1,000 of them. "Really?" she asked. 👨‍👩‍👧 ';
+  const text = sample.repeat(60);
+  const differ = new HTMLDiff();
+  for (const granularity of ['grapheme', 'word', 'sentence']) {
+    const expected = Array.from(new Intl.Segmenter(undefined, { granularity }).segment(text), ({ segment }) => segment);
+    assert.deepStrictEqual(differ.segment(text, granularity), expected, granularity);
+  }
+});
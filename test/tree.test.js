@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HTMLDiff } = require('../src/main.js');
+
+const differ = new HTMLDiff({ mode: 'tree' });
+
+test('an added list item is inserted on its own', () => {
+  assert.strictEqual(differ.diffToHTML('<ul><li>one</li><li>two</li></ul>', '<ul><li>one</li><li>two</li><li>x</li></ul>'),
+    '<ul><li>one</li><li>two</li><li class="diff-ins"><ins>x</ins></li></ul>');
+});
+
+test('text changes are diffed inside the paired element', () => {
+  assert.strictEqual(
+    differ.diffToHTML('<div><p>Hello world</p><p>Second paragraph</p></div>',
+      '<div><p>Hello there world</p><p>Second paragraph</p></div>'),
+    '<div><p>Hello <ins>there </ins>world</p><p>Second paragraph</p></div>');
+});
+
+test('dissimilar elements are deleted and inserted whole', () => {
+  assert.strictEqual(differ.diffToHTML('<p>a</p><p>completely different</p>', '<p>a</p><p>nothing in common</p>'),
+    '<p>a</p><p class="diff-del"><del>completely different</del></p>' +
+    '<p class="diff-ins"><ins>nothing in common</ins></p>');
+});
+
+test('formatting and tag changes with the same text are marked as modified', () => {
+  assert.strictEqual(differ.diffToHTML('<p>Some <b>bold</b> text</p>', '<p>Some <i>bold</i> text</p>'),
+    '<p>Some <i class="diff-mod">bold</i> text</p>');
+  assert.strictEqual(differ.diffToHTML('<ul><li>one</li></ul>', '<ol><li>one</li></ol>'),
+    '<ol class="diff-mod"><li>one</li></ol>');
+});
+
+test('identical inputs are returned unchanged', () => {
+  const html = '<table><tr><td>1</td><td>2</td></tr></table>';
+  assert.strictEqual(differ.diffToHTML(html, html), html);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Worker } = require('worker_threads');
+const { createDiffWorker } = require('../src/worker.js');
+const { HTMLDiff } = require('../src/main.js');
+
+test('calls resolve with the method result', async () => {
+  const worker = createDiffWorker({ granularity: 'char' });
+  try {
+    assert.deepStrictEqual(await worker.run('diff', ['cat', 'cut']), new HTMLDiff({ granularity: 'char' }).diff('cat', 'cut'));
+    await assert.rejects(worker.run('calculateOperations', []), /Unknown method: calculateOperations/);
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('aborting a call rejects only that call', async () => {
+  const worker = createDiffWorker();
+  const controller = new AbortController();
+  try {
+    const aborted = worker.run('diff', ['a b c', 'a x c'], { signal: controller.signal });
+    const other = worker.run('diffToHTML', ['a b', 'a c']);
+    controller.abort(new Error('Stopped'));
+    await assert.rejects(aborted, /Stopped/);
+    assert.strictEqual(await other, new HTMLDiff().diffToHTML('a b', 'a c'));
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('aborting after a call settled does nothing', async () => {
+  const worker = createDiffWorker();
+  const controller = new AbortController();
+  try {
+    await worker.run('diff', ['a', 'b'], { signal: controller.signal });
+    const other = worker.run('diffToHTML', ['a b', 'a c']);
+    controller.abort(new Error('Stopped'));
+    assert.strictEqual(await other, new HTMLDiff().diffToHTML('a b', 'a c'));
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('terminate rejects the calls in flight', async () => {
+  const worker = createDiffWorker();
+  const call = worker.run('diff', ['a b c', 'a x c']);
+  worker.terminate();
+  await assert.rejects(call, /The diff worker was terminated/);
+  // The next call starts a new worker
+  try {
+    assert.deepStrictEqual(await worker.run('diff', ['a', 'b']), new HTMLDiff().diff('a', 'b'));
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('aborting rejects with an AbortError when the signal has no reason', async () => {
+  // Signals as on Node 16, where AbortSignal has no reason
+  const signal = new EventTarget();
+  signal.aborted = false;
+  const worker = createDiffWorker();
+  try {
+    const call = worker.run('diff', ['a b c', 'a x c'], { signal });
+    signal.aborted = true;
+    signal.dispatchEvent(new Event('abort'));
+    await assert.rejects(call, error => error.name === 'AbortError');
+    await assert.rejects(worker.run('diff', ['a', 'b'], { signal }), error => error.name === 'AbortError');
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('requiring the module in an application worker thread does not start serving', async () => {
+  const thread = new Worker(`
+    const { parentPort } = require('worker_threads');
+    const exported = require(${JSON.stringify(require.resolve('../src/worker.js'))});
+    parentPort.postMessage(typeof exported.createDiffWorker);
+  `, { eval: true });
+  try {
+    assert.strictEqual(await new Promise(resolve => thread.once('message', resolve)), 'function');
+  } finally {
+    await thread.terminate();
+  }
+});